@@ -0,0 +1,118 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const adminSummary = document.getElementById('adminSummary');
+    const adminError = document.getElementById('adminError');
+    const sessionRows = document.getElementById('sessionRows');
+    const refreshLogBtn = document.getElementById('refreshLogBtn');
+    const adminLog = document.getElementById('adminLog');
+
+    const REFRESH_MS = 5000;
+    const LOG_LINES = 200;
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+    }
+
+    function formatAgo(timestamp) {
+        const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m ago`;
+    }
+
+    function showError(res) {
+        adminError.textContent = res.status === 401
+            ? 'Not signed in. Sign in on the player page first.'
+            : `Request failed (${res.status})`;
+        adminError.classList.add('visible');
+    }
+
+    function cell(text, title) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (title) td.title = title;
+        return td;
+    }
+
+    function actionButton(label, action, session, confirmText) {
+        const btn = document.createElement('button');
+        btn.className = 'secondary-btn';
+        btn.textContent = label;
+        btn.addEventListener('click', async () => {
+            if (confirmText && !confirm(confirmText)) return;
+            const res = await fetch(`/admin/${action}?session=${encodeURIComponent(session.id)}`, { method: 'POST' });
+            if (!res.ok) showError(res);
+            loadSessions();
+        });
+        return btn;
+    }
+
+    function renderSessions(data) {
+        adminSummary.textContent = `${data.sessions.length} sessions · ${data.running}/${data.maxTranscodes} transcodes · ${data.queued} queued · ${formatBytes(data.diskBytes)} HLS`;
+        sessionRows.innerHTML = '';
+        data.sessions.forEach(session => {
+            const row = document.createElement('tr');
+            if (session.encode.slow) row.classList.add('slow');
+
+            const cpu = session.cpu !== null ? `${Math.round(session.cpu * 100)}%` : '-';
+            const speed = session.encode.running && session.encode.speed ? `${session.encode.speed.toFixed(2)}x` : '-';
+            const state = session.queued ? ' (queued)' : session.interrupted ? ' (interrupted)' : '';
+
+            const actions = document.createElement('td');
+            actions.className = 'admin-actions';
+            if (session.pid) actions.appendChild(actionButton('Kill', 'kill', session));
+            actions.appendChild(actionButton('Delete', 'delete', session, `Delete session ${session.id} and its HLS files?`));
+
+            row.append(
+                cell(session.id + state),
+                cell(session.url || '-', session.url),
+                cell(session.mode || '-'),
+                cell(session.device || '-'),
+                cell(session.pid || '-'),
+                cell(`${cpu} / ${speed}`),
+                cell(formatBytes(session.diskBytes)),
+                cell(formatAgo(session.lastPing) + (session.connected ? ' ●' : ''), session.connected ? 'Event stream connected' : ''),
+                actions
+            );
+            sessionRows.appendChild(row);
+        });
+    }
+
+    async function loadSessions() {
+        try {
+            const res = await fetch('/admin/sessions');
+            if (!res.ok) return showError(res);
+            adminError.classList.remove('visible');
+            renderSessions(await res.json());
+        } catch (e) {
+            adminError.textContent = 'Server unreachable';
+            adminError.classList.add('visible');
+        }
+    }
+
+    // Log entries are JSON lines; older plain-text lines are shown as they are
+    function formatLogLine(line) {
+        try {
+            const entry = JSON.parse(line);
+            const source = entry.source === 'client' ? ' client' : '';
+            return `${entry.time} ${entry.level.toUpperCase().padEnd(5)}${entry.session ? ` [${entry.session}${source}]` : ''} ${entry.msg}`;
+        } catch (e) {
+            return line;
+        }
+    }
+
+    async function loadLog() {
+        const res = await fetch(`/admin/log?lines=${LOG_LINES}`);
+        if (!res.ok) return showError(res);
+        adminLog.textContent = (await res.text()).split('\n').map(formatLogLine).join('\n');
+        adminLog.scrollTop = adminLog.scrollHeight;
+    }
+
+    refreshLogBtn.addEventListener('click', loadLog);
+
+    loadSessions();
+    loadLog();
+    setInterval(loadSessions, REFRESH_MS);
+});
@@ -9,6 +9,43 @@ document.addEventListener('DOMContentLoaded', () => {
 
     const audioSelect = document.getElementById('audioSelect');
     const subSelect = document.getElementById('subSelect');
+    const qualitySelect = document.getElementById('qualitySelect');
+    const audioProfileSelect = document.getElementById('audioProfileSelect');
+    const passthroughCheckbox = document.getElementById('passthroughCheckbox');
+    const subtitleUrlInput = document.getElementById('subtitleUrlInput');
+    const addSubtitleBtn = document.getElementById('addSubtitleBtn');
+    const uploadSubtitleBtn = document.getElementById('uploadSubtitleBtn');
+    const subtitleFileInput = document.getElementById('subtitleFileInput');
+    const libraryBtn = document.getElementById('libraryBtn');
+    const libraryPanel = document.getElementById('libraryPanel');
+    const librarySearch = document.getElementById('librarySearch');
+    const libraryList = document.getElementById('libraryList');
+    const profileInput = document.getElementById('profileInput');
+    const continueWatching = document.getElementById('continueWatching');
+    const continueList = document.getElementById('continueList');
+    const resumeOverlay = document.getElementById('resumeOverlay');
+    const resumeText = document.getElementById('resumeText');
+    const resumeYesBtn = document.getElementById('resumeYesBtn');
+    const resumeNoBtn = document.getElementById('resumeNoBtn');
+    const queueBtn = document.getElementById('queueBtn');
+    const playQueue = document.getElementById('playQueue');
+    const queueList = document.getElementById('queueList');
+    const upNextOverlay = document.getElementById('upNextOverlay');
+    const upNextTitle = document.getElementById('upNextTitle');
+    const upNextCountdown = document.getElementById('upNextCountdown');
+    const upNextPlayBtn = document.getElementById('upNextPlayBtn');
+    const upNextCancelBtn = document.getElementById('upNextCancelBtn');
+    const loginOverlay = document.getElementById('loginOverlay');
+    const loginForm = document.getElementById('loginForm');
+    const loginPassword = document.getElementById('loginPassword');
+    const loginError = document.getElementById('loginError');
+    const createRoomBtn = document.getElementById('createRoomBtn');
+    const roomCodeInput = document.getElementById('roomCodeInput');
+    const joinRoomBtn = document.getElementById('joinRoomBtn');
+    const copyRoomBtn = document.getElementById('copyRoomBtn');
+    const leaveRoomBtn = document.getElementById('leaveRoomBtn');
+    const roomParticipants = document.getElementById('roomParticipants');
+    const encodeStats = document.getElementById('encodeStats');
 
     let hls = null;
     let heartbeatInterval = null;
@@ -19,6 +56,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const volumeSlider = document.getElementById('volumeSlider');
     const progressContainer = document.getElementById('progressContainer');
     const progressBar = document.getElementById('progressBar');
+    const seekPreview = document.getElementById('seekPreview');
+    const seekPreviewImage = document.getElementById('seekPreviewImage');
+    const seekPreviewTime = document.getElementById('seekPreviewTime');
     const progressBuffer = document.getElementById('progressBuffer');
     const timeDisplay = document.getElementById('timeDisplay');
 
@@ -41,9 +81,562 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     console.log("Client Session ID:", sessionId);
 
-    // --- Auto-Resume from LocalStorage ---
+    // --- Audio Enhancement Profile (per device) ---
+    const savedAudioProfile = localStorage.getItem('audioProfile');
+    if (savedAudioProfile) audioProfileSelect.value = savedAudioProfile;
+
+    // --- Bit-perfect Audio (passthrough, per device) ---
+    passthroughCheckbox.checked = localStorage.getItem('audioPassthrough') === 'true';
+
+    // Server filters audio during encoding, so a change restarts the stream at the current position
+    audioProfileSelect.addEventListener('change', () => {
+        localStorage.setItem('audioProfile', audioProfileSelect.value);
+        logToServer(`[Audio] Profile changed to ${audioProfileSelect.value}`);
+        if (streamMode && streamMode !== 'NATIVE_DIRECT') {
+            startStream('audioProfile', getCurrentTime());
+        }
+    });
+
+    passthroughCheckbox.addEventListener('change', () => {
+        localStorage.setItem('audioPassthrough', passthroughCheckbox.checked);
+        logToServer(`[Audio] Passthrough ${passthroughCheckbox.checked ? 'ON' : 'OFF'}`);
+        if (streamMode && streamMode !== 'NATIVE_DIRECT') {
+            startStream('passthrough', getCurrentTime());
+        }
+    });
+
+    // --- Login ---
+    // Only relevant when the server has AUTH_PASSWORD / API_TOKENS set.
+    // API calls answering 401 bring the login form back (cookie expired).
+    let subtitleAuth = ''; // Signed query fragment for /subtitle, from /metadata or /start
+
+    function showLogin() {
+        loginOverlay.classList.add('visible');
+        loginPassword.focus();
+    }
+
+    fetch('/auth-status')
+        .then(r => r.json())
+        .then(data => {
+            if (data.enabled && !data.authenticated) showLogin();
+        })
+        .catch(() => { });
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginError.textContent = '';
+        try {
+            const res = await fetch('/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password: loginPassword.value })
+            });
+            if (!res.ok) throw new Error('Wrong password');
+            loginPassword.value = '';
+            loginOverlay.classList.remove('visible');
+            fetchMetadata();
+        } catch (err) {
+            loginError.textContent = err.message;
+        }
+    });
+
+    function getSubtitleUrl(videoUrl, params) {
+        return `/subtitle?url=${encodeURIComponent(videoUrl)}&${params}${subtitleAuth ? '&' + subtitleAuth : ''}`;
+    }
+
+    // --- Watch History (server-side, per profile) ---
+    // The heartbeat reports position/duration for the playing source; the
+    // server keeps it per profile so another device can resume from it.
+    let profile = localStorage.getItem('profile') || 'default';
+    let historyEntries = new Map(); // url -> { position, duration, watched, title }
+    let playingUrl = null; // Source of the running stream (urlInput may have changed since)
+    profileInput.value = profile;
+
+    profileInput.addEventListener('change', () => {
+        profile = profileInput.value.trim() || 'default';
+        profileInput.value = profile;
+        localStorage.setItem('profile', profile);
+        loadHistory();
+    });
+
+    async function loadHistory() {
+        try {
+            const res = await fetch(`/history?profile=${encodeURIComponent(profile)}`);
+            if (!res.ok) return;
+            const data = await res.json();
+            historyEntries = new Map(data.entries.map(e => [e.url, e]));
+            renderContinueWatching();
+            renderLibrary();
+        } catch (e) {
+            console.warn('History fetch failed', e);
+        }
+    }
+
+    async function setWatched(videoUrl, watched) {
+        await fetch(`/history/watched?profile=${encodeURIComponent(profile)}&url=${encodeURIComponent(videoUrl)}&watched=${watched}`, { method: 'POST' })
+            .catch(() => { });
+        loadHistory();
+    }
+
+    function renderContinueWatching() {
+        const entries = [...historyEntries.values()].filter(e => !e.watched && e.position > 10).slice(0, 8);
+        continueWatching.classList.toggle('visible', entries.length > 0);
+        continueList.innerHTML = '';
+
+        entries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'continue-entry';
+
+            const item = createLibraryItem(entry.title, { url: entry.url });
+            const meta = item.querySelector('.library-item-meta');
+            meta.textContent = entry.duration ? `${formatTime(entry.duration - entry.position)} left` : formatTime(entry.position);
+            if (entry.duration) {
+                const bar = document.createElement('div');
+                bar.className = 'continue-progress';
+                const fill = document.createElement('div');
+                fill.style.width = `${Math.min(100, (entry.position / entry.duration) * 100)}%`;
+                bar.appendChild(fill);
+                item.appendChild(bar);
+            }
+
+            const watchedBtn = document.createElement('button');
+            watchedBtn.className = 'secondary-btn watched-btn';
+            watchedBtn.title = 'Mark as watched';
+            watchedBtn.textContent = '✓';
+            watchedBtn.addEventListener('click', () => setWatched(entry.url, true));
+
+            row.append(item, watchedBtn);
+            continueList.appendChild(row);
+        });
+    }
+
+    continueList.addEventListener('click', (e) => {
+        const item = e.target.closest('.library-item');
+        if (!item) return;
+        urlInput.value = item.dataset.url;
+        fetchMetadata();
+        startStream('continue');
+    });
+
+    // Resolves to true (resume) or false (start over)
+    function askResume(entry) {
+        resumeText.textContent = `${entry.title}: continue at ${formatTime(entry.position)}?`;
+        resumeOverlay.classList.add('visible');
+        resumeYesBtn.focus();
+        return new Promise(resolve => {
+            const answer = (resume) => {
+                resumeOverlay.classList.remove('visible');
+                resumeYesBtn.onclick = null;
+                resumeNoBtn.onclick = null;
+                resolve(resume);
+            };
+            resumeYesBtn.onclick = () => answer(true);
+            resumeNoBtn.onclick = () => answer(false);
+        });
+    }
+
+    loadHistory();
+
+    // --- Play Queue & Auto-Advance ---
+    // URLs queued in the UI play in order when a video ends. With an empty
+    // queue the server is asked for the next episode (SxxEyy / library).
+    // Either way a countdown gives the viewer a chance to cancel.
+    const UP_NEXT_SECONDS = 10;
+    let queue = JSON.parse(localStorage.getItem('playQueue') || '[]');
+    let upNextTimer = null;
+
+    function saveQueue() {
+        localStorage.setItem('playQueue', JSON.stringify(queue));
+        renderQueue();
+    }
+
+    function getDisplayTitle(videoUrl) {
+        const history = historyEntries.get(videoUrl);
+        if (history) return history.title;
+        if (libraryData) {
+            const all = libraryData.movies.concat(...libraryData.series.map(s => s.episodes));
+            const item = all.find(i => i.url === videoUrl);
+            if (item) return item.type === 'episode' ? `${item.title} S${item.season}E${item.episode}` : item.title;
+        }
+        try {
+            return decodeURIComponent(new URL(videoUrl).pathname.split('/').pop()) || videoUrl;
+        } catch (e) {
+            return videoUrl;
+        }
+    }
+
+    function renderQueue() {
+        playQueue.classList.toggle('visible', queue.length > 0);
+        queueList.innerHTML = '';
+        queue.forEach((videoUrl, i) => {
+            const row = document.createElement('div');
+            row.className = 'continue-entry';
+
+            const item = createLibraryItem(getDisplayTitle(videoUrl), { url: videoUrl });
+            item.querySelector('.library-item-meta').textContent = `#${i + 1}`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'secondary-btn watched-btn';
+            removeBtn.title = 'Remove from queue';
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', () => {
+                queue.splice(i, 1);
+                saveQueue();
+            });
+
+            row.append(item, removeBtn);
+            queueList.appendChild(row);
+        });
+    }
+
+    queueBtn.addEventListener('click', () => {
+        const videoUrl = urlInput.value.trim();
+        if (!videoUrl || queue.includes(videoUrl)) return;
+        queue.push(videoUrl);
+        saveQueue();
+        showStatus(`Added to queue (${queue.length})`, 'info');
+    });
+
+    // Clicking a queued item plays it now and takes it out of the queue
+    queueList.addEventListener('click', (e) => {
+        const item = e.target.closest('.library-item');
+        if (!item) return;
+        queue = queue.filter(u => u !== item.dataset.url);
+        saveQueue();
+        playNext(item.dataset.url);
+    });
+
+    function playNext(videoUrl) {
+        cancelUpNext();
+        urlInput.value = videoUrl;
+        fetchMetadata();
+        startStream('auto-advance', 0);
+    }
+
+    function cancelUpNext() {
+        clearInterval(upNextTimer);
+        upNextTimer = null;
+        upNextOverlay.classList.remove('visible');
+    }
+
+    async function findUpNext() {
+        if (queue.length > 0) {
+            const next = queue.shift();
+            saveQueue();
+            return { url: next, title: getDisplayTitle(next) };
+        }
+        if (!playingUrl) return null;
+        try {
+            const res = await fetch(`/next-episode?url=${encodeURIComponent(playingUrl)}`);
+            const data = res.ok ? await res.json() : {};
+            return data.url ? data : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    videoPlayer.addEventListener('ended', async () => {
+        // In a room the host decides what plays next, everyone else follows
+        if (roomId && !isRoomHost) return;
+        const next = await findUpNext();
+        if (!next) return;
+        logToServer(`[Queue] Up next: ${next.url}`);
+
+        let remaining = UP_NEXT_SECONDS;
+        upNextTitle.textContent = next.title || getDisplayTitle(next.url);
+        upNextCountdown.textContent = remaining;
+        upNextOverlay.classList.add('visible');
+        upNextPlayBtn.onclick = () => playNext(next.url);
+        upNextCancelBtn.onclick = cancelUpNext;
+
+        clearInterval(upNextTimer);
+        upNextTimer = setInterval(() => {
+            remaining--;
+            upNextCountdown.textContent = remaining;
+            if (remaining <= 0) playNext(next.url);
+        }, 1000);
+    });
+
+    // --- Library Browser ---
+    // Lists the server's VIDEO_DIR. Items have `library:<id>` URLs that play
+    // through /start exactly like a pasted URL.
+    let libraryData = null;
+
+    libraryBtn.addEventListener('click', () => {
+        const opening = !libraryPanel.classList.contains('visible');
+        libraryPanel.classList.toggle('visible', opening);
+        if (opening) loadLibrary();
+    });
+
+    librarySearch.addEventListener('input', renderLibrary);
+
+    async function loadLibrary() {
+        try {
+            const res = await fetch('/library');
+            if (res.status === 401) {
+                showLogin();
+                return;
+            }
+            libraryData = await res.json();
+            renderLibrary();
+        } catch (e) {
+            console.error('Library fetch failed', e);
+        }
+    }
+
+    function createLibraryItem(label, item) {
+        const button = document.createElement('button');
+        button.className = 'library-item';
+        button.dataset.url = item.url;
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        const meta = document.createElement('span');
+        meta.className = 'library-item-meta';
+        const details = [];
+        if (item.media && item.media.height) details.push(`${item.media.height}p`);
+        if (item.media && item.media.duration) details.push(formatTime(item.media.duration));
+        const history = historyEntries.get(item.url);
+        if (history && history.watched) details.push('✓ Watched');
+        else if (history && history.duration) details.push(`${Math.round((history.position / history.duration) * 100)}%`);
+        meta.textContent = details.join(' · ');
+
+        button.append(name, meta);
+        return button;
+    }
+
+    function renderLibrary() {
+        if (!libraryData) return;
+        const query = librarySearch.value.trim().toLowerCase();
+        const matches = text => !query || text.toLowerCase().includes(query);
+        const pad = n => String(n).padStart(2, '0');
+        libraryList.innerHTML = '';
+
+        const movies = libraryData.movies.filter(m => matches(m.title));
+        const series = libraryData.series.filter(s => matches(s.title));
+
+        if (movies.length > 0) {
+            const heading = document.createElement('div');
+            heading.className = 'library-section-title';
+            heading.textContent = 'Movies';
+            libraryList.appendChild(heading);
+            movies.forEach(m => libraryList.appendChild(createLibraryItem(m.year ? `${m.title} (${m.year})` : m.title, m)));
+        }
+
+        if (series.length > 0) {
+            const heading = document.createElement('div');
+            heading.className = 'library-section-title';
+            heading.textContent = 'Series';
+            libraryList.appendChild(heading);
+            series.forEach(show => {
+                const group = document.createElement('details');
+                const summary = document.createElement('summary');
+                summary.textContent = `${show.title} (${show.episodes.length} episodes)`;
+                group.appendChild(summary);
+                show.episodes.forEach(ep => group.appendChild(createLibraryItem(`S${pad(ep.season)}E${pad(ep.episode)} · ${ep.file}`, ep)));
+                libraryList.appendChild(group);
+            });
+        }
+
+        if (movies.length === 0 && series.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'library-empty';
+            empty.textContent = query ? 'No matches.' : 'The library is empty.';
+            libraryList.appendChild(empty);
+        }
+    }
+
+    libraryList.addEventListener('click', (e) => {
+        const item = e.target.closest('.library-item');
+        if (!item) return;
+        urlInput.value = item.dataset.url;
+        libraryPanel.classList.remove('visible');
+        fetchMetadata();
+        startStream('library');
+    });
+
+    renderQueue();
+
+    // --- Watch Together ---
+    // The host posts its state on every play/pause/seek/audio change (and
+    // every few seconds); the server pushes it to the room over SSE. Others
+    // load the same source, follow play/pause and correct their drift:
+    // small drift by nudging the playback rate, large drift by seeking.
+    const ROOM_SYNC_INTERVAL_MS = 5000;
+    const DRIFT_NUDGE_SECONDS = 0.5;
+    const DRIFT_SEEK_SECONDS = 2;
+    let roomId = null;
+    let roomEvents = null;
+    let roomMemberId = null; // Our opaque ID in the participant list
+    let roomHostKey = null;  // Only the host has one; required to post state
+    let isRoomHost = false;
+    let roomSyncTimer = null;
+
+    async function createRoom() {
+        try {
+            const res = await fetch(`/room/create?session=${sessionId}`, { method: 'POST' });
+            if (res.status === 401) return showLogin();
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            joinRoom(data.room);
+            roomHostKey = data.hostKey;
+        } catch (e) {
+            showStatus(`Could not create room: ${e.message}`, 'error');
+        }
+    }
+
+    function joinRoom(code) {
+        code = code.trim().toUpperCase();
+        if (!code) return;
+        if (roomEvents) roomEvents.close();
+
+        roomId = code;
+        roomHostKey = null;
+        roomCodeInput.value = code;
+        roomEvents = new EventSource(`/room/events?room=${code}&session=${sessionId}&name=${encodeURIComponent(profile)}`);
+
+        roomEvents.addEventListener('welcome', (e) => {
+            roomMemberId = JSON.parse(e.data).memberId;
+        });
+
+        // Sent only to us: on handover, or when we reconnect as host
+        roomEvents.addEventListener('host', (e) => {
+            roomHostKey = JSON.parse(e.data).hostKey;
+        });
+
+        roomEvents.addEventListener('participants', (e) => {
+            const data = JSON.parse(e.data);
+            const wasHost = isRoomHost;
+            isRoomHost = data.participants.some(p => p.host && p.id === roomMemberId);
+            if (isRoomHost && !wasHost) postRoomState();
+            renderParticipants(data.participants);
+        });
+
+        roomEvents.addEventListener('state', (e) => {
+            if (!isRoomHost) applyRoomState(JSON.parse(e.data));
+        });
+
+        // EventSource reconnects by itself; CLOSED means the room is gone
+        roomEvents.onerror = () => {
+            if (roomEvents.readyState === EventSource.CLOSED) {
+                leaveRoom();
+                showStatus(`Room ${code} not found`, 'error');
+            }
+        };
+
+        clearInterval(roomSyncTimer);
+        roomSyncTimer = setInterval(() => {
+            if (isRoomHost && !videoPlayer.paused) postRoomState();
+        }, ROOM_SYNC_INTERVAL_MS);
+
+        window.history.replaceState(null, '', `?room=${code}`);
+        copyRoomBtn.style.display = '';
+        leaveRoomBtn.style.display = '';
+        logToServer(`[Room] Joined ${code}`);
+    }
+
+    function leaveRoom() {
+        if (roomEvents) roomEvents.close();
+        roomEvents = null;
+        roomId = null;
+        roomMemberId = null;
+        roomHostKey = null;
+        isRoomHost = false;
+        clearInterval(roomSyncTimer);
+        videoPlayer.playbackRate = 1;
+        roomParticipants.classList.remove('visible');
+        copyRoomBtn.style.display = 'none';
+        leaveRoomBtn.style.display = 'none';
+        window.history.replaceState(null, '', location.pathname);
+    }
+
+    function renderParticipants(participants) {
+        roomParticipants.innerHTML = '';
+        const title = document.createElement('div');
+        title.className = 'room-code';
+        title.textContent = `Room ${roomId}${isRoomHost ? ' (host)' : ''}`;
+        roomParticipants.appendChild(title);
+        participants.forEach(p => {
+            const row = document.createElement('div');
+            row.textContent = `${p.host ? '★ ' : ''}${p.name}${p.id === roomMemberId ? ' (you)' : ''}`;
+            roomParticipants.appendChild(row);
+        });
+        roomParticipants.classList.add('visible');
+    }
+
+    function postRoomState() {
+        if (!roomId || !isRoomHost || !roomHostKey || !playingUrl) return;
+        fetch(`/room/state?room=${roomId}&key=${roomHostKey}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: playingUrl,
+                paused: videoPlayer.paused,
+                position: getCurrentTime(),
+                audioIndex: parseInt(audioSelect.value) || 0
+            })
+        }).catch(e => console.warn('Room sync failed', e));
+    }
+
+    function applyRoomState(state) {
+        if (!state.url || isStreamStarting) return;
+
+        // Where the host is now (server clock on both ends, so no skew)
+        const elapsed = state.paused ? 0 : Math.max(0, state.serverTime - state.updatedAt) / 1000;
+        const target = state.position + elapsed;
+
+        if (state.url !== playingUrl) {
+            logToServer(`[Room] Following host to ${state.url}`);
+            urlInput.value = state.url;
+            fetchMetadata();
+            startStream('room', target);
+            return;
+        }
+
+        if (parseInt(audioSelect.value) !== state.audioIndex &&
+            audioSelect.querySelector(`option[value="${state.audioIndex}"]`)) {
+            audioSelect.value = state.audioIndex;
+            audioSelect.dispatchEvent(new Event('change'));
+        }
+
+        if (state.paused && !videoPlayer.paused) videoPlayer.pause();
+        if (!state.paused && videoPlayer.paused) videoPlayer.play().catch(() => {});
+
+        // Drift correction
+        const drift = target - getCurrentTime();
+        if (Math.abs(drift) > DRIFT_SEEK_SECONDS) {
+            videoPlayer.playbackRate = 1;
+            seekTo(target);
+        } else if (Math.abs(drift) > DRIFT_NUDGE_SECONDS && !state.paused) {
+            videoPlayer.playbackRate = drift > 0 ? 1.05 : 0.95;
+        } else {
+            videoPlayer.playbackRate = 1;
+        }
+    }
+
+    ['play', 'pause', 'seeked'].forEach(event => videoPlayer.addEventListener(event, postRoomState));
+    audioSelect.addEventListener('change', postRoomState);
+
+    createRoomBtn.addEventListener('click', createRoom);
+    joinRoomBtn.addEventListener('click', () => joinRoom(roomCodeInput.value));
+    roomCodeInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') joinRoom(roomCodeInput.value);
+    });
+    leaveRoomBtn.addEventListener('click', leaveRoom);
+    copyRoomBtn.addEventListener('click', () => {
+        const link = `${location.origin}${location.pathname}?room=${roomId}`;
+        navigator.clipboard.writeText(link)
+            .then(() => showStatus('Room link copied', 'success'))
+            .catch(() => showStatus(link, 'info'));
+    });
+
+    // Opened from a shared link
+    const sharedRoom = new URLSearchParams(location.search).get('room');
+    if (sharedRoom) joinRoom(sharedRoom);
+
+    // --- Restore last URL from LocalStorage ---
+    // (the position comes from the server-side history when playback starts)
     const savedUrl = localStorage.getItem('lastVideoUrl');
-    const savedTime = localStorage.getItem('lastVideoTime');
 
     if (savedUrl) {
         urlInput.value = savedUrl;
@@ -190,13 +783,12 @@ document.addEventListener('DOMContentLoaded', () => {
                 // MOBILE: Seek on sides, Play/Pause in center
                 if (tapPosition < 0.4) {
                     // Left 40% - Rewind 5s
-                    videoPlayer.currentTime = Math.max(videoPlayer.currentTime - 5, 0);
+                    seekTo(getCurrentTime() - 5);
                     startInactivityTimer();
                     showSeekFeedback('5s', 'rewind');
                 } else if (tapPosition > 0.6) {
                     // Right 40% - Forward 5s
-                    const targetFwd = Math.min(videoPlayer.currentTime + 5, getDuration());
-                    videoPlayer.currentTime = targetFwd;
+                    seekTo(getCurrentTime() + 5);
                     startInactivityTimer();
                     showSeekFeedback('5s', 'forward');
                 } else {
@@ -295,34 +887,145 @@ document.addEventListener('DOMContentLoaded', () => {
     });
     videoPlayer.addEventListener('playing', () => logToServer('[Event] Video Playing'));
     videoPlayer.addEventListener('ended', () => logToServer('[Event] Video Ended'));
+    // Refresh "Continue watching" whenever playback stops
+    videoPlayer.addEventListener('pause', () => loadHistory());
+    videoPlayer.addEventListener('ended', () => loadHistory());
 
     // Time Update & Progress
     videoPlayer.addEventListener('timeupdate', updateProgress);
     videoPlayer.addEventListener('progress', updateBuffer); // Listen for buffer updates
 
     let serverDuration = 0; // Store duration from metadata
+    let subtitleTracks = []; // Subtitle list from metadata (index, codec, ...)
 
     // NOTE: getDuration(), updateProgress(), and updateBuffer() are defined later
     // in the "Growing Timeline" section (~line 900+) with enhanced functionality.
 
-    // Seek
-    progressContainer.addEventListener('click', (e) => {
-        const duration = getDuration();
-        if (!duration) return;
+    // Seek (click or drag). The seek happens on release; while hovering or
+    // dragging, a preview shows the target time and its trickplay thumbnail.
+    let isScrubbing = false;
 
+    function getPointerTime(e) {
         const rect = progressContainer.getBoundingClientRect();
-        const pos = (e.clientX - rect.left) / rect.width;
-        let targetTime = pos * duration;
+        const pos = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        return pos * getDuration();
+    }
 
-        // Clamp to Server Encoded Time
-        if (serverEncodedTime > 0 && targetTime > serverEncodedTime) {
-            targetTime = serverEncodedTime;
-            showStatus('Buffering... (Waiting for Server)', 'info');
+    progressContainer.addEventListener('pointerdown', (e) => {
+        if (!getDuration()) return;
+        isScrubbing = true;
+        progressContainer.setPointerCapture(e.pointerId);
+        showSeekPreview(e);
+    });
+
+    progressContainer.addEventListener('pointermove', (e) => {
+        showSeekPreview(e);
+        if (isScrubbing) {
+            progressBar.style.width = `${(getPointerTime(e) / getDuration()) * 100}%`;
         }
+    });
 
-        videoPlayer.currentTime = targetTime;
+    progressContainer.addEventListener('pointerup', (e) => {
+        if (!isScrubbing) return;
+        isScrubbing = false;
+        hideSeekPreview();
+        // Targets outside the encoded range restart the server encode there
+        seekTo(getPointerTime(e));
     });
 
+    progressContainer.addEventListener('pointercancel', () => {
+        isScrubbing = false;
+        hideSeekPreview();
+        updateProgress();
+    });
+
+    progressContainer.addEventListener('pointerleave', () => {
+        if (!isScrubbing) hideSeekPreview();
+    });
+
+    // --- Seek Preview (Trickplay) ---
+    // The server builds sprite sheets in the background; /thumbnails answers
+    // 202 until the WebVTT index is ready, so we poll until then.
+    let thumbnailCues = []; // { start, end, src, x, y, w, h }
+    let thumbnailsUrl = null;
+    let thumbnailRetryTimer = null;
+
+    async function loadThumbnails(videoUrl) {
+        if (thumbnailsUrl === videoUrl && (thumbnailCues.length > 0 || thumbnailRetryTimer)) return;
+        clearTimeout(thumbnailRetryTimer);
+        thumbnailRetryTimer = null;
+        thumbnailsUrl = videoUrl;
+        thumbnailCues = [];
+
+        try {
+            const res = await fetch(`/thumbnails?url=${encodeURIComponent(videoUrl)}`);
+            if (thumbnailsUrl !== videoUrl) return; // Another video was started meanwhile
+            if (res.status === 202) {
+                thumbnailRetryTimer = setTimeout(() => {
+                    thumbnailRetryTimer = null;
+                    loadThumbnails(videoUrl);
+                }, 10000);
+                return;
+            }
+            if (!res.ok) return; // No thumbnails for this source, time-only preview
+            thumbnailCues = parseThumbnailVtt(await res.text());
+            logToServer(`[Thumbnails] Loaded ${thumbnailCues.length} previews`);
+        } catch (e) {
+            console.warn('Thumbnail index failed', e);
+        }
+    }
+
+    function parseVttTime(t) {
+        const parts = t.trim().split(':').map(parseFloat);
+        return parts.reduce((acc, p) => acc * 60 + p, 0);
+    }
+
+    function parseThumbnailVtt(text) {
+        const cues = [];
+        text.split(/\r?\n\r?\n/).forEach(block => {
+            const lines = block.trim().split(/\r?\n/);
+            const timing = lines.findIndex(l => l.includes('-->'));
+            if (timing === -1 || !lines[timing + 1]) return;
+
+            const [start, end] = lines[timing].split('-->').map(parseVttTime);
+            const [src, hash] = lines[timing + 1].trim().split('#xywh=');
+            const [x, y, w, h] = (hash || '').split(',').map(n => parseInt(n));
+            if (isNaN(w)) return;
+            cues.push({ start, end, src, x, y, w, h });
+        });
+        return cues;
+    }
+
+    function showSeekPreview(e) {
+        const duration = getDuration();
+        if (!duration) return;
+
+        const time = getPointerTime(e);
+        seekPreviewTime.textContent = formatTime(time);
+
+        const cue = thumbnailCues.find(c => time >= c.start && time < c.end);
+        if (cue) {
+            seekPreviewImage.style.display = 'block';
+            seekPreviewImage.style.width = `${cue.w}px`;
+            seekPreviewImage.style.height = `${cue.h}px`;
+            seekPreviewImage.style.backgroundImage = `url("${cue.src}")`;
+            seekPreviewImage.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+        } else {
+            seekPreviewImage.style.display = 'none';
+        }
+
+        // Keep the preview inside the progress bar horizontally
+        const rect = progressContainer.getBoundingClientRect();
+        const halfWidth = (cue ? cue.w + 4 : seekPreviewTime.offsetWidth) / 2;
+        const x = Math.min(rect.width - halfWidth, Math.max(halfWidth, e.clientX - rect.left));
+        seekPreview.style.left = `${x}px`;
+        seekPreview.classList.add('visible');
+    }
+
+    function hideSeekPreview() {
+        seekPreview.classList.remove('visible');
+    }
+
     // Volume
     volumeSlider.addEventListener('input', (e) => {
         videoPlayer.volume = e.target.value;
@@ -394,14 +1097,67 @@ document.addEventListener('DOMContentLoaded', () => {
         startInactivityTimer();
     });
 
+    // Quality Change -> hls.js level (-1 = Auto / ABR)
+    qualitySelect.addEventListener('change', () => {
+        // Blur dropdown to allow inactivity timer to work
+        qualitySelect.blur();
+        videoPlayer.focus();
+
+        const level = parseInt(qualitySelect.value);
+        if (hls) {
+            // currentLevel switches immediately (flushes buffer) so the change is visible
+            hls.currentLevel = level;
+            logToServer(`[Quality] ${level === -1 ? 'Auto' : 'Level ' + level} selected`);
+        }
+        startInactivityTimer();
+    });
+
+    function updateQualityOptions() {
+        if (!hls || !hls.levels || hls.levels.length <= 1) {
+            qualitySelect.style.display = 'none';
+            return;
+        }
+
+        // Auto label shows the level ABR is currently playing
+        const playing = hls.levels[hls.currentLevel];
+        const autoLabel = playing && playing.height ? `Auto (${playing.height}p)` : 'Auto';
+        const options = hls.levels
+            .map((level, i) => ({ i, label: level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)} kbps` }))
+            .sort((a, b) => hls.levels[b.i].bitrate - hls.levels[a.i].bitrate)
+            .map(o => `<option value="${o.i}">${o.label}</option>`)
+            .join('');
+
+        qualitySelect.innerHTML = `<option value="-1">${autoLabel}</option>` + options;
+        qualitySelect.value = hls.autoLevelEnabled ? -1 : hls.currentLevel;
+        qualitySelect.style.display = 'inline-block';
+    }
+
+    // Image subtitle (PGS/VobSub/DVB) burned into the running stream, -1 = none
+    let activeBurnSub = -1;
+
+    function getSelectedBurnSub() {
+        const option = subSelect.options[subSelect.selectedIndex];
+        return option && option.dataset.image === 'true' ? parseInt(option.value) : -1;
+    }
+
     // Subtitle Change -> Seamless Update (No stream restart needed)
+    // Image subtitles are the exception: they are burned in server-side, so
+    // switching to, from or between them restarts the stream at the current position.
     subSelect.addEventListener('change', () => {
         // Blur dropdown to allow inactivity timer to work (especially on mobile)
         subSelect.blur();
         videoPlayer.focus();
 
         const rawUrl = urlInput.value.trim();
-        const subIdx = subSelect.value;
+        const burnSub = getSelectedBurnSub();
+        if (streamMode && burnSub !== activeBurnSub) {
+            logToServer(`[Subtitle] Burn-in ${burnSub === -1 ? 'OFF' : 'track ' + burnSub}. Restarting stream.`);
+            startStream('burnSub', getCurrentTime());
+            startInactivityTimer();
+            return;
+        }
+
+        const subIdx = burnSub === -1 ? subSelect.value : -1;
         updateSubtitle(rawUrl, subIdx);
         // Auto-hide controls after subtitle change
         startInactivityTimer();
@@ -418,6 +1174,14 @@ document.addEventListener('DOMContentLoaded', () => {
         // Clear custom subtitle display
         customSubtitle.textContent = '';
         customSubtitle.classList.remove('visible');
+        stopAssRenderer();
+
+        // ASS/SSA keep their styling: fetched as ASS and drawn by our own renderer
+        const trackInfo = subtitleTracks.find(t => String(t.index) === String(subIndex));
+        if (subIndex != -1 && trackInfo && ['ass', 'ssa'].includes(trackInfo.codec)) {
+            loadAssSubtitle(videoUrl, subIndex);
+            return;
+        }
 
         if (subIndex != -1) {
             console.log(`[Subtitle] Loading Track Index: ${subIndex}`);
@@ -426,7 +1190,9 @@ document.addEventListener('DOMContentLoaded', () => {
             track.label = 'Active Subtitle';
             track.srclang = 'en';
             track.default = true;
-            track.src = `/subtitle?url=${encodeURIComponent(videoUrl)}&index=${subIndex}&t=${Date.now()}`;
+            // start= shifts cues onto the stream timeline after a seek-restart
+            // (no cache-buster: the server caches extracted tracks and sends ETags)
+            track.src = getSubtitleUrl(videoUrl, `index=${subIndex}&start=${streamOffset}`);
 
             videoPlayer.appendChild(track);
 
@@ -524,6 +1290,231 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // --- ASS/SSA Renderer ---
+    // Minimal renderer for styled subtitles. Honours style and override
+    // alignment (\an), \pos, italics, bold, underline and primary colour;
+    // everything else (karaoke, transforms, drawings) is stripped.
+    const assLayer = document.getElementById('assSubtitleLayer');
+    let assTrack = null;          // Parsed { playResX, playResY, styles, events }
+    let assLastActive = '';       // Active event indices at the last render
+    let assLoadToken = 0;         // Drops responses for tracks switched away from
+
+    function loadAssSubtitle(videoUrl, subIndex) {
+        const token = ++assLoadToken;
+        console.log(`[Subtitle] Loading ASS Track Index: ${subIndex}`);
+
+        // Movie timeline (no start=): the renderer compares against getCurrentTime()
+        fetch(getSubtitleUrl(videoUrl, `index=${subIndex}&format=ass`))
+            .then(r => {
+                if (!r.ok) throw new Error(`HTTP ${r.status}`);
+                return r.text();
+            })
+            .then(text => {
+                if (token !== assLoadToken) return;
+                assTrack = parseAss(text);
+                assLastActive = '';
+                logToServer(`[Subtitle] ASS track loaded: ${assTrack.events.length} events`);
+                renderAss();
+            })
+            .catch(e => console.error('[Subtitle] ASS track failed to load:', e));
+    }
+
+    function stopAssRenderer() {
+        assLoadToken++;
+        assTrack = null;
+        assLastActive = '';
+        assLayer.innerHTML = '';
+    }
+
+    function parseAssTime(t) {
+        const [h, m, s] = (t || '0:0:0').split(':');
+        return parseInt(h) * 3600 + parseInt(m) * 60 + parseFloat(s);
+    }
+
+    // &HAABBGGRR (alpha first, then blue-green-red) -> CSS colour
+    function parseAssColor(c) {
+        const hex = (c || '').replace(/[&H]/gi, '').padStart(8, '0').slice(-8);
+        const alpha = 1 - parseInt(hex.slice(0, 2), 16) / 255;
+        const b = parseInt(hex.slice(2, 4), 16);
+        const g = parseInt(hex.slice(4, 6), 16);
+        const r = parseInt(hex.slice(6, 8), 16);
+        return `rgba(${r}, ${g}, ${b}, ${alpha.toFixed(2)})`;
+    }
+
+    function parseAss(text) {
+        const track = { playResX: 384, playResY: 288, styles: {}, events: [] };
+        let section = '';
+        let styleFormat = [];
+        let eventFormat = [];
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (/^\[.*\]$/.test(line)) {
+                section = line.toLowerCase();
+                return;
+            }
+            const sep = line.indexOf(':');
+            if (sep === -1) return;
+            const key = line.slice(0, sep).trim();
+            const value = line.slice(sep + 1).trim();
+
+            if (section === '[script info]') {
+                if (key === 'PlayResX') track.playResX = parseInt(value) || track.playResX;
+                if (key === 'PlayResY') track.playResY = parseInt(value) || track.playResY;
+            } else if (section === '[v4+ styles]' || section === '[v4 styles]') {
+                if (key === 'Format') styleFormat = value.split(',').map(f => f.trim());
+                if (key === 'Style') {
+                    const fields = value.split(',');
+                    const style = {};
+                    styleFormat.forEach((f, i) => style[f] = (fields[i] || '').trim());
+                    // SSA (v4) numbers alignment 1-3 bottom, 5-7 top, 9-11 middle
+                    let align = parseInt(style.Alignment) || 2;
+                    if (section === '[v4 styles]') {
+                        if (align >= 9) align -= 5;
+                        else if (align >= 5) align += 2;
+                    }
+                    style.align = align;
+                    track.styles[style.Name] = style;
+                }
+            } else if (section === '[events]') {
+                if (key === 'Format') eventFormat = value.split(',').map(f => f.trim());
+                if (key === 'Dialogue') {
+                    // Text is the last field and may itself contain commas
+                    const fields = value.split(',');
+                    const ev = {};
+                    eventFormat.forEach((f, i) => {
+                        ev[f] = i === eventFormat.length - 1 ? fields.slice(i).join(',') : (fields[i] || '').trim();
+                    });
+                    track.events.push({
+                        start: parseAssTime(ev.Start),
+                        end: parseAssTime(ev.End),
+                        style: ev.Style,
+                        marginV: parseInt(ev.MarginV) || 0,
+                        text: ev.Text || ''
+                    });
+                }
+            }
+        });
+        return track;
+    }
+
+    // One event -> { html, align, pos } with override tags applied as spans
+    function assEventToHtml(ev, style) {
+        const truthy = v => v === '-1' || v === '1';
+        let italic = truthy(style.Italic);
+        let bold = truthy(style.Bold);
+        let underline = truthy(style.Underline);
+        let color = parseAssColor(style.PrimaryColour || '&H00FFFFFF');
+        let align = style.align || 2;
+        let pos = null;
+        let html = '';
+
+        ev.text.split(/(\{[^}]*\})/).forEach(part => {
+            if (part.startsWith('{')) {
+                part.replace(/\\(an|pos|1c|c|i|b|u)(\([^)]*\)|&H[0-9A-Fa-f]+&?|\d+)?/g, (m, tag, arg = '') => {
+                    if (tag === 'an') align = parseInt(arg) || align;
+                    else if (tag === 'pos') {
+                        const [x, y] = arg.replace(/[()]/g, '').split(',').map(parseFloat);
+                        if (!isNaN(x) && !isNaN(y)) pos = { x, y };
+                    }
+                    else if (tag === 'c' || tag === '1c') color = arg ? parseAssColor(arg) : parseAssColor(style.PrimaryColour);
+                    else if (tag === 'i') italic = arg === '1';
+                    else if (tag === 'b') bold = arg !== '' && arg !== '0';
+                    else if (tag === 'u') underline = arg === '1';
+                    return m;
+                });
+                return;
+            }
+            if (!part) return;
+
+            const escaped = part
+                .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                .replace(/\\N/g, '<br>')
+                .replace(/\\n/g, ' ')
+                .replace(/\\h/g, '&nbsp;');
+            html += `<span style="font-style:${italic ? 'italic' : 'normal'};font-weight:${bold ? 'bold' : 'normal'};` +
+                `text-decoration:${underline ? 'underline' : 'none'};color:${color}">${escaped}</span>`;
+        });
+
+        return { html, align, pos };
+    }
+
+    function renderAss() {
+        if (!assTrack) return;
+        const now = getCurrentTime();
+
+        const active = [];
+        assTrack.events.forEach((ev, i) => {
+            if (now >= ev.start && now < ev.end) active.push(i);
+        });
+        const activeKey = active.join(',');
+        if (activeKey === assLastActive) return;
+        assLastActive = activeKey;
+
+        // Match the layer to the letterboxed picture so \pos and margins land right
+        const boxW = videoPlayer.clientWidth;
+        const boxH = videoPlayer.clientHeight;
+        const vw = videoPlayer.videoWidth || boxW;
+        const vh = videoPlayer.videoHeight || boxH;
+        const scale = Math.min(boxW / vw, boxH / vh);
+        const width = vw * scale;
+        const height = vh * scale;
+        assLayer.style.left = `${(boxW - width) / 2}px`;
+        assLayer.style.top = `${(boxH - height) / 2}px`;
+        assLayer.style.width = `${width}px`;
+        assLayer.style.height = `${height}px`;
+
+        const sx = width / assTrack.playResX;
+        const sy = height / assTrack.playResY;
+
+        assLayer.innerHTML = '';
+        active.forEach(i => {
+            const ev = assTrack.events[i];
+            const style = assTrack.styles[ev.style] || assTrack.styles.Default || {};
+            const { html, align, pos } = assEventToHtml(ev, style);
+            if (!html) return;
+
+            const el = document.createElement('div');
+            el.className = 'ass-event';
+            el.innerHTML = html;
+            el.style.fontSize = `${(parseFloat(style.Fontsize) || 20) * sy}px`;
+            if (style.Fontname) el.style.fontFamily = `"${style.Fontname}", 'Outfit', sans-serif`;
+
+            // Numpad alignment: 1-3 bottom, 4-6 middle, 7-9 top; left/centre/right by column
+            const col = (align - 1) % 3;           // 0 left, 1 centre, 2 right
+            const row = Math.floor((align - 1) / 3); // 0 bottom, 1 middle, 2 top
+            el.style.textAlign = ['left', 'center', 'right'][col];
+
+            if (pos) {
+                el.style.left = `${pos.x * sx}px`;
+                el.style.top = `${pos.y * sy}px`;
+                el.style.transform = `translate(${[0, -50, -100][col]}%, ${[-100, -50, 0][row]}%)`;
+            } else {
+                const marginV = (ev.marginV || parseInt(style.MarginV) || 10) * sy;
+                const marginL = (parseInt(style.MarginL) || 10) * sx;
+                const marginR = (parseInt(style.MarginR) || 10) * sx;
+                el.style.left = `${marginL}px`;
+                el.style.right = `${marginR}px`;
+                if (row === 0) el.style.bottom = `${marginV}px`;
+                else if (row === 2) el.style.top = `${marginV}px`;
+                else {
+                    el.style.top = '50%';
+                    el.style.transform = 'translateY(-50%)';
+                }
+            }
+            assLayer.appendChild(el);
+        });
+    }
+
+    videoPlayer.addEventListener('timeupdate', renderAss);
+    // Re-layout on seek and on size changes (fullscreen, rotation)
+    const rerenderAss = () => {
+        assLastActive = '';
+        renderAss();
+    };
+    videoPlayer.addEventListener('seeked', rerenderAss);
+    window.addEventListener('resize', rerenderAss);
+
     // ... (fetchMetadata logic truncated for brevity, but we need to ensure it doesn't conflict)
     // We will clear audio options in startStream or rely on HLS overwriting them.
 
@@ -540,7 +1531,12 @@ document.addEventListener('DOMContentLoaded', () => {
             // Better UX: Don't clear audio immediately, just let it update or fail.
 
             const res = await fetch(`/metadata?url=${encodeURIComponent(rawUrl)}`);
+            if (res.status === 401) {
+                showLogin();
+                return;
+            }
             const data = await res.json();
+            subtitleAuth = data.subtitleAuth || '';
 
             if (data.duration) {
                 serverDuration = data.duration;
@@ -550,7 +1546,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Audio Options (Preview from Metadata)
             if (data.audio && data.audio.length > 0) {
                 audioSelect.innerHTML = data.audio.map((t, i) =>
-                    `<option value="${t.index}">Audio ${i + 1}: ${t.lang} (${t.codec})</option>`
+                    `<option value="${t.index}">Audio ${i + 1}: ${t.lang} (${t.codec}${t.layout ? ' ' + t.layout : ''})</option>`
                 ).join('');
                 audioSelect.value = data.audio[0].index; // Select first by default
             } else {
@@ -559,12 +1555,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Subtitle Options
             const validSubs = data.subs || [];
+            subtitleTracks = validSubs;
             if (validSubs.length > 0) {
-                const options = validSubs.map((t, i) =>
-                    `<option value="${t.index}">${t.lang} - ${t.title}</option>`
-                ).join('');
                 // Add "Off" option
-                subSelect.innerHTML = '<option value="-1">CC: Off</option>' + options;
+                subSelect.innerHTML = '<option value="-1">CC: Off</option>';
+                validSubs.forEach(t => subSelect.appendChild(createSubtitleOption(t)));
             } else {
                 subSelect.innerHTML = '<option value="-1">CC: Off</option>';
             }
@@ -575,6 +1570,68 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Track titles come from file metadata and upload names, so use textContent
+    function createSubtitleOption(t) {
+        const option = document.createElement('option');
+        option.value = t.index;
+        if (t.image) {
+            option.dataset.image = 'true';
+            option.textContent = `${t.lang} - ${t.title} (Burn-in)`;
+        } else if (t.external) {
+            option.textContent = `${t.title} (External)`;
+        } else {
+            option.textContent = `${t.lang} - ${t.title}`;
+        }
+        return option;
+    }
+
+    // --- External Subtitles (URL or Upload) ---
+    // The server converts the file, remembers it for this video URL (so it
+    // reappears in /metadata next time) and returns the new track entry.
+    async function addExternalSubtitle(query, body) {
+        const rawUrl = urlInput.value.trim();
+        if (!rawUrl) {
+            statusMessage.textContent = 'Enter a video URL before adding subtitles.';
+            return;
+        }
+
+        try {
+            const res = await fetch(`/external-subtitle?url=${encodeURIComponent(rawUrl)}&${query}`, {
+                method: 'POST',
+                body
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+
+            subtitleTracks.push(data);
+            subSelect.appendChild(createSubtitleOption(data));
+            subSelect.value = data.index;
+            subSelect.dispatchEvent(new Event('change'));
+            logToServer(`[Subtitle] External track added: ${data.title}`);
+        } catch (e) {
+            console.error('External subtitle failed', e);
+            statusMessage.textContent = `Subtitle failed: ${e.message}`;
+        }
+    }
+
+    addSubtitleBtn.addEventListener('click', () => {
+        const src = subtitleUrlInput.value.trim();
+        if (!src) return;
+        addExternalSubtitle(`src=${encodeURIComponent(src)}`).then(() => {
+            subtitleUrlInput.value = '';
+        });
+    });
+
+    uploadSubtitleBtn.addEventListener('click', () => subtitleFileInput.click());
+
+    subtitleFileInput.addEventListener('change', () => {
+        const file = subtitleFileInput.files[0];
+        if (!file) return;
+        addExternalSubtitle(`name=${encodeURIComponent(file.name)}`, file).then(() => {
+            subtitleFileInput.value = '';
+        });
+    });
+
     fullscreenBtn.addEventListener('click', toggleFullScreen);
 
     function toggleFullScreen() {
@@ -596,31 +1653,68 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     let isStreamStarting = false;
+    let queuedStart = null;     // Latest seek that arrived while /start was in flight
+    let queueRetryTimer = null; // Pending /start retry while queued for a transcode slot
+
+    // /start has answered: let the next start through, and replay the
+    // newest seek that was held back in the meantime
+    function finishStreamStart() {
+        isStreamStarting = false;
+        const next = queuedStart;
+        queuedStart = null;
+        if (next) startStream(next.source, next.startAt);
+    }
 
-    async function startStream(source = 'unknown') {
+    // startAt: movie time (seconds) the server should begin encoding from.
+    // Used by seek-restart; omitted for a normal start.
+    async function startStream(source = 'unknown', startAt = null) {
         if (isStreamStarting) {
+            if (startAt !== null) {
+                console.log(`startStream deferred: already starting (source: ${source}, at ${startAt})`);
+                queuedStart = { source, startAt };
+                return;
+            }
             console.log(`startStream blocked: already starting (source: ${source})`);
             return;
         }
 
         console.log(`startStream called from: ${source}`);
         isStreamStarting = true;
+        clearTimeout(queueRetryTimer);
+        queueRetryTimer = null;
+        cancelUpNext();
 
         const rawUrl = urlInput.value.trim();
         const audioIdx = audioSelect.value || 0;
-        const subIdx = subSelect.value || -1;
+        const burnSub = getSelectedBurnSub();
+        // Burned-in subtitles are part of the picture, no sidecar track needed
+        const subIdx = burnSub === -1 ? (subSelect.value || -1) : -1;
         const forceTranscode = document.getElementById('transcodeCheckbox').checked;
+        const audioProfile = audioProfileSelect.value;
+        const passthrough = passthroughCheckbox.checked;
 
         if (!rawUrl) {
             showStatus('Please enter a valid URL', 'error');
             isStreamStarting = false;
+            queuedStart = null;
             return;
         }
 
-        // Check for Resume Condition (Before overwriting storage)
-        const storedUrl = localStorage.getItem('lastVideoUrl');
-        const storedTime = parseFloat(localStorage.getItem('lastVideoTime'));
-        let shouldResume = (storedUrl === rawUrl && storedTime > 0);
+        // Resume: the profile's saved position (from any device) is offered
+        // first; resuming is just a seek-restart to it
+        if (startAt === null) {
+            startAt = 0;
+            try {
+                const res = await fetch(`/history?profile=${encodeURIComponent(profile)}&url=${encodeURIComponent(rawUrl)}`);
+                const { entry } = res.ok ? await res.json() : {};
+                if (entry && !entry.watched && entry.position > 10 && await askResume(entry)) {
+                    console.log(`Resuming from ${entry.position}`);
+                    startAt = entry.position;
+                }
+            } catch (e) {
+                console.warn('History lookup failed', e);
+            }
+        }
 
         // Save to LocalStorage for persistence
         if (source !== 'auto-resume') {
@@ -632,20 +1726,62 @@ document.addEventListener('DOMContentLoaded', () => {
         // 1. Tell Server to Start Transcoding / Direct Mode
         let startData = {};
         try {
-            const startRes = await fetch(`/start?url=${encodeURIComponent(rawUrl)}&audioIndex=${audioIdx}&subIndex=${subIdx}&session=${sessionId}&transcode=${forceTranscode}`);
+            const startParam = startAt > 0 ? `&start=${startAt.toFixed(3)}` : '';
+            const startRes = await fetch(`/start?url=${encodeURIComponent(rawUrl)}&audioIndex=${audioIdx}&subIndex=${subIdx}&session=${sessionId}&transcode=${forceTranscode}&audioProfile=${audioProfile}&passthrough=${passthrough}&burnSub=${burnSub}${startParam}`);
+            // Server at its transcode cap: show our place in line and ask again
+            if (startRes.status === 503) {
+                const queued = await startRes.json().catch(() => ({}));
+                showStatus(`Server busy. Waiting for a transcode slot (position ${queued.position || '?'})...`, 'info');
+                logToServer(`[Init] Queued at position ${queued.position}`);
+                // A seek made while waiting replaces the original start point
+                const retryAt = queuedStart ? queuedStart.startAt : startAt;
+                queuedStart = null;
+                queueRetryTimer = setTimeout(() => startStream(source, retryAt), (queued.retryAfter || 3) * 1000);
+                isStreamStarting = false;
+                return;
+            }
+            if (startRes.status === 401) {
+                showLogin();
+                showStatus('Please sign in to play.', 'info');
+                isStreamStarting = false;
+                queuedStart = null;
+                return;
+            }
+            if (startRes.status === 400) {
+                // e.g. URL rejected by the server's source policy
+                const rejected = await startRes.json().catch(() => ({}));
+                throw new Error(rejected.error || 'Invalid request');
+            }
             if (!startRes.ok) throw new Error('Failed to start stream server');
             startData = await startRes.json();
-            logToServer(`[Init] Server Mode: ${startData.mode}`);
+            logToServer(`[Init] Server Mode: ${startData.mode} | Offset: ${startData.startOffset || 0}s`);
         } catch (err) {
             console.error(err);
             showStatus('Server Error: ' + err.message, 'error');
             isStreamStarting = false;
+            queuedStart = null;
             return;
         }
 
+        // --- Timeline Mapping ---
+        // The HLS timeline starts at 0 where the server began encoding.
+        // streamOffset maps it back onto the real movie timeline.
+        streamMode = startData.mode;
+        streamVod = !!startData.vod;
+        activeBurnSub = burnSub;
+        streamOffset = startData.startOffset || 0;
+        if (startData.duration > 0) serverDuration = startData.duration;
+        if (startData.subtitleAuth) subtitleAuth = startData.subtitleAuth;
+        playingUrl = rawUrl;
+        serverEncodedTime = 0; // New run, wait for heartbeat
+        pendingSeek = startAt > 0 ? Math.max(0, startAt - streamOffset) : 0;
+
         // Add Subtitle Track manually (Sidecar)
         updateSubtitle(rawUrl, subIdx);
 
+        // Seek preview thumbnails (generated in the background on first request)
+        loadThumbnails(rawUrl);
+
         // Start Heartbeat
         startHeartbeat();
 
@@ -659,6 +1795,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 hls.destroy();
                 hls = null;
             }
+            qualitySelect.style.display = 'none';
 
             videoPlayer.src = startData.streamUrl;
             videoPlayer.load();
@@ -684,17 +1821,19 @@ document.addEventListener('DOMContentLoaded', () => {
 
             videoPlayer.play().catch(e => console.log("Autoplay blocked"));
             videoPlayer.play().catch(e => console.log("Autoplay blocked"));
-            isStreamStarting = false;
+            finishStreamStart();
             return; // DONE
         }
 
         // 2. Initialize HLS Player with Master Playlist
         // POINT TO SESSION SPECIFIC HLS
-        const streamSrc = `/hls/${sessionId}/main.m3u8?t=${Date.now()}`;
+        // (hlsBase carries a signed prefix when the server requires login)
+        const streamSrc = `${startData.hlsBase || `/hls/${sessionId}/`}main.m3u8?t=${Date.now()}`;
 
 
         if (typeof Hls === 'undefined') {
             showStatus('Error: HLS library not loaded', 'error');
+            finishStreamStart();
             return;
         }
 
@@ -731,15 +1870,20 @@ document.addEventListener('DOMContentLoaded', () => {
             hls.on(Hls.Events.MANIFEST_PARSED, function () {
                 videoPlayer.play().catch(e => console.log("Autoplay blocked"));
 
-                if (shouldResume) {
-                    console.log(`Resuming from ${storedTime}`);
-                    videoPlayer.currentTime = storedTime;
-                    shouldResume = false; // Reset
+                // Reused run that started earlier than requested: seek within it
+                if (pendingSeek > 0) {
+                    console.log(`Seeking within stream to ${pendingSeek}`);
+                    videoPlayer.currentTime = pendingSeek;
+                    pendingSeek = 0; // Reset
                 }
 
                 showStatus('Playing (HLS)', 'success');
                 showStatus('Playing (HLS)', 'success');
 
+                // --- QUALITY LEVELS (ABR ladder) ---
+                updateQualityOptions();
+                hls.on(Hls.Events.LEVEL_SWITCHED, updateQualityOptions);
+
                 // --- SYNC AUDIO TRACKS ---
                 // We prefer the Metadata-populated list because it has codec details.
                 // We only overwrite if that list is empty or if HLS gives us something different.
@@ -799,60 +1943,144 @@ document.addEventListener('DOMContentLoaded', () => {
             });
 
         } else if (videoPlayer.canPlayType('application/vnd.apple.mpegurl')) {
-            // Safari/Native HLS support
+            // Safari/Native HLS support (the native player picks quality itself)
+            qualitySelect.style.display = 'none';
             videoPlayer.src = streamSrc;
             videoPlayer.addEventListener('loadedmetadata', function () {
+                if (pendingSeek > 0) {
+                    videoPlayer.currentTime = pendingSeek;
+                    pendingSeek = 0;
+                }
                 videoPlayer.play();
                 showStatus('Playing (Native)', 'success');
                 startHeartbeat();
-                isStreamStarting = false;
             });
         }
 
-        // Safety timeout in case everything hangs
-        setTimeout(() => { isStreamStarting = false; }, 10000);
+        // The player is set up for this run; later seeks may restart it
+        finishStreamStart();
     }
 
-    let serverEncodedTime = 0; // Tracks how much video is ready on server
+    let serverEncodedTime = 0; // Tracks how much video is ready on server (stream time)
     let serverLiveEdge = 0;     // PART B: Safe point to seek to
+    let streamOffset = 0;       // Movie time where the current server run began
+    let streamMode = null;      // Mode reported by /start
+    let streamVod = false;      // Full-length VOD playlist (server makes segments on demand)
+    let pendingSeek = 0;        // Stream time to jump to once the playlist loads
     // const progressServer = document.getElementById('progressServer'); // Removed for Dynamic Mode
 
+    // --- Session Events (server push) ---
+    // Progress, mode changes, fallbacks and errors arrive over SSE as they
+    // happen. While the stream is up the heartbeat only keeps the session
+    // alive; if it drops, the heartbeat polls /ping every second instead.
+    const KEEPALIVE_EVERY_TICKS = 5;
+    let sessionEvents = null;
+    let sessionEventsOpen = false;
+    let heartbeatTicks = 0;
+
+    function connectSessionEvents() {
+        if (sessionEvents) return;
+        sessionEvents = new EventSource(`/events?session=${sessionId}`);
+        sessionEvents.onopen = () => { sessionEventsOpen = true; };
+        sessionEvents.onerror = () => { sessionEventsOpen = false; }; // EventSource retries by itself
+
+        sessionEvents.addEventListener('progress', (e) => applyServerProgress(JSON.parse(e.data)));
+        sessionEvents.addEventListener('encode', (e) => renderEncodeStats(JSON.parse(e.data)));
+        sessionEvents.addEventListener('interrupted', handleInterrupted);
+        sessionEvents.addEventListener('mode', (e) => {
+            const data = JSON.parse(e.data);
+            logToServer(`[Events] Mode: ${data.mode}${data.fallback ? ' (fallback)' : ''}`);
+        });
+        sessionEvents.addEventListener('fallback', (e) => {
+            const data = JSON.parse(e.data);
+            showStatus(`${data.reason}: retrying with ${data.to.replace(/_/g, ' ').toLowerCase()}...`, 'info');
+        });
+        sessionEvents.addEventListener('error', (e) => {
+            // Also fired (without data) when the connection drops
+            if (!e.data) return;
+            const data = JSON.parse(e.data);
+            showStatus(`Stream error: ${data.message}`, 'error');
+            if (data.detail) logToServer(`[Events] ${data.message}: ${data.detail}`);
+        });
+    }
+
+    // Server encode speed; below 1x the encoder cannot keep up with playback
+    function renderEncodeStats(encode) {
+        const show = !!encode && encode.running && encode.speed > 0;
+        encodeStats.classList.toggle('visible', show);
+        if (!show) return;
+        encodeStats.classList.toggle('slow', encode.slow);
+        encodeStats.textContent = encode.slow
+            ? `⚠ Encoding below realtime (${encode.speed.toFixed(2)}x, ${Math.round(encode.fps)} fps) - playback may stall`
+            : `Encoding ${encode.speed.toFixed(1)}x · ${Math.round(encode.fps)} fps`;
+    }
+
+    // Server restarted under us: start again where we are, the
+    // server keeps the segments it already encoded
+    function handleInterrupted() {
+        if (isStreamStarting) return;
+        logToServer('[Heartbeat] Session interrupted by server restart. Resuming.');
+        startStream('server-restart', getCurrentTime());
+    }
+
+    function applyServerProgress(data) {
+        if (data.encodedDuration) {
+            serverEncodedTime = data.encodedDuration;
+            updateServerProgress(); // Update UI immediately
+        }
+
+        // --- PART B: Live Edge Control ---
+        // If server provides liveEdgeTime, check if we're behind
+        // (VOD playlists are complete, there is no live edge to chase)
+        if (data.liveEdgeTime && !streamVod) {
+            serverLiveEdge = data.liveEdgeTime;
+
+            // Auto-seek if player is more than 5s behind live edge
+            // AND we're actually playing (not paused)
+            // AND we're not in VOD mode (VOD has finite duration from metadata)
+            const LAG_THRESHOLD = 5;
+            const behindBy = serverLiveEdge - videoPlayer.currentTime;
+
+            if (!videoPlayer.paused && behindBy > LAG_THRESHOLD) {
+                // Only seek to what's buffered
+                const buffered = videoPlayer.buffered;
+                if (buffered.length > 0) {
+                    const bufferedEnd = buffered.end(buffered.length - 1);
+                    const seekTarget = Math.min(serverLiveEdge, bufferedEnd - 1);
+
+                    if (seekTarget > videoPlayer.currentTime) {
+                        console.log(`[LiveEdge] Behind by ${behindBy.toFixed(1)}s. Seeking to ${seekTarget.toFixed(1)}s`);
+                        videoPlayer.currentTime = seekTarget;
+                    }
+                }
+            }
+        }
+    }
+
     function startHeartbeat() {
         if (heartbeatInterval) clearInterval(heartbeatInterval);
-        // Ping every 1 second for smoother UI growth
+        connectSessionEvents();
+        // Every second without the push channel, every few seconds with it
         heartbeatInterval = setInterval(() => {
-            fetch(`/ping?session=${sessionId}`)
+            heartbeatTicks++;
+            if (sessionEventsOpen && heartbeatTicks % KEEPALIVE_EVERY_TICKS !== 0) return;
+
+            // Playing position feeds the server-side watch history
+            const position = getCurrentTime();
+            const historyParams = playingUrl && videoPlayer.currentTime > 0
+                ? `&profile=${encodeURIComponent(profile)}&url=${encodeURIComponent(playingUrl)}&position=${position.toFixed(1)}&duration=${(getDuration() || 0).toFixed(1)}`
+                : '';
+            fetch(`/ping?session=${sessionId}${historyParams}`)
                 .then(r => r.json())
                 .then(data => {
-                    if (data.encodedDuration) {
-                        serverEncodedTime = data.encodedDuration;
-                        updateServerProgress(); // Update UI immediately
+                    if (data.status === 'interrupted') {
+                        handleInterrupted();
+                        return;
                     }
-
-                    // --- PART B: Live Edge Control ---
-                    // If server provides liveEdgeTime, check if we're behind
-                    if (data.liveEdgeTime) {
-                        serverLiveEdge = data.liveEdgeTime;
-
-                        // Auto-seek if player is more than 5s behind live edge
-                        // AND we're actually playing (not paused)
-                        // AND we're not in VOD mode (VOD has finite duration from metadata)
-                        const LAG_THRESHOLD = 5;
-                        const behindBy = serverLiveEdge - videoPlayer.currentTime;
-
-                        if (!videoPlayer.paused && behindBy > LAG_THRESHOLD) {
-                            // Only seek to what's buffered
-                            const buffered = videoPlayer.buffered;
-                            if (buffered.length > 0) {
-                                const bufferedEnd = buffered.end(buffered.length - 1);
-                                const seekTarget = Math.min(serverLiveEdge, bufferedEnd - 1);
-
-                                if (seekTarget > videoPlayer.currentTime) {
-                                    console.log(`[LiveEdge] Behind by ${behindBy.toFixed(1)}s. Seeking to ${seekTarget.toFixed(1)}s`);
-                                    videoPlayer.currentTime = seekTarget;
-                                }
-                            }
-                        }
+                    // Events already delivered it
+                    if (!sessionEventsOpen) {
+                        applyServerProgress(data);
+                        renderEncodeStats(data.encode);
                     }
                 })
                 .catch(e => console.log("Ping failed"));
@@ -865,25 +2093,65 @@ document.addEventListener('DOMContentLoaded', () => {
         updateProgress();
     }
 
-    // Helper: Get Dynamic Duration (The "Loaded" Length)
+    // Helper: Current position on the real movie timeline
+    function getCurrentTime() {
+        return streamOffset + videoPlayer.currentTime;
+    }
+
+    // Helper: Get Movie Duration (real timeline, not stream timeline)
     function getDuration() {
-        // If serverEncodedTime is populated, THAT is our world.
+        // VOD playlist: the player knows the full length
+        if (streamVod && isFinite(videoPlayer.duration) && videoPlayer.duration > 0) {
+            return videoPlayer.duration;
+        }
+
+        // Full length from metadata lets the user seek past what is encoded
+        if (serverDuration > 0) return serverDuration;
+
+        // Otherwise fall back to the "Growing Timeline" (offset + encoded)
         if (serverEncodedTime > 0) {
             // Ensure we don't report less than current time (just in case)
-            return Math.max(serverEncodedTime, videoPlayer.currentTime);
+            return Math.max(streamOffset + serverEncodedTime, getCurrentTime());
         }
 
         // Fallback: If native player has a duration (and it's not Infinity), use it.
         if (videoPlayer.duration && isFinite(videoPlayer.duration) && videoPlayer.duration > 0) {
-            return videoPlayer.duration;
+            return streamOffset + videoPlayer.duration;
         }
 
-        // Fallback 2: Server metadata total duration (if we somehow have it but no heartbeats yet)
-        if (serverDuration > 0) return serverDuration;
-
         return 0; // Unknown
     }
 
+    // Seek on the real movie timeline.
+    // VOD / direct -> plain seek (server makes missing segments on demand).
+    // Growing playlist: inside the encoded range -> plain seek, outside -> restart the server encode there.
+    function seekTo(targetTime) {
+        const duration = getDuration();
+        if (duration) targetTime = Math.min(targetTime, duration);
+        targetTime = Math.max(0, targetTime);
+
+        if (streamVod || streamMode === 'NATIVE_DIRECT') {
+            videoPlayer.currentTime = targetTime - streamOffset;
+            return;
+        }
+
+        // How far into the current run the player can go without a restart
+        let availableEnd = serverEncodedTime;
+        if (videoPlayer.seekable.length > 0) {
+            availableEnd = Math.max(availableEnd, videoPlayer.seekable.end(videoPlayer.seekable.length - 1));
+        }
+
+        const streamTime = targetTime - streamOffset;
+        if (streamTime >= 0 && streamTime <= availableEnd) {
+            videoPlayer.currentTime = streamTime;
+            return;
+        }
+
+        logToServer(`[Seek] ${formatTime(targetTime)} outside encoded range. Restarting encode.`);
+        showStatus(`Seeking to ${formatTime(targetTime)}... (Restarting Server)`, 'info');
+        startStream('seek', targetTime);
+    }
+
     function updateProgress() {
         // "Growing Timeline" Logic:
         // Width is percentage of currently loaded content.
@@ -894,9 +2162,10 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        const percent = (videoPlayer.currentTime / duration) * 100;
-        progressBar.style.width = `${Math.min(percent, 100)}%`;
-        timeDisplay.textContent = `${formatTime(videoPlayer.currentTime)} / ${formatTime(duration)}`;
+        const currentTime = getCurrentTime();
+        const percent = (currentTime / duration) * 100;
+        if (!isScrubbing) progressBar.style.width = `${Math.min(percent, 100)}%`; // Drag position wins
+        timeDisplay.textContent = `${formatTime(currentTime)} / ${formatTime(duration)}`;
     }
 
     function updateBuffer() {
@@ -915,7 +2184,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     break;
                 }
             }
-            const percent = (bufferedEnd / duration) * 100;
+            const percent = ((streamOffset + bufferedEnd) / duration) * 100;
             progressBuffer.style.width = `${Math.min(percent, 100)}%`;
         }
     }
@@ -925,25 +2194,18 @@ document.addEventListener('DOMContentLoaded', () => {
         if (heartbeatInterval) clearInterval(heartbeatInterval);
     });
 
-    function logToServer(msg) {
-        fetch('/client-log', {
+    function logToServer(msg, level = 'info') {
+        fetch(`/client-log?session=${sessionId}&level=${level}`, {
             method: 'POST',
             body: msg
         }).catch(e => { });
     }
 
-    // Save playback position periodically
-    videoPlayer.addEventListener('timeupdate', () => {
-        if (videoPlayer.currentTime > 5) {
-            localStorage.setItem('lastVideoTime', videoPlayer.currentTime);
-        }
-    });
-
     function showStatus(msg, type) {
         statusMessage.textContent = msg;
         if (type === 'error') {
             statusMessage.style.color = '#f87171';
-            logToServer('Frontend Error: ' + msg);
+            logToServer('Frontend Error: ' + msg, 'error');
         }
         else if (type === 'success') statusMessage.style.color = '#4ade80';
         else statusMessage.style.color = '#94a3b8';
@@ -1026,14 +2288,13 @@ document.addEventListener('DOMContentLoaded', () => {
             case 'ArrowRight': // Forward 5s
                 e.preventDefault();
                 // Skip forward 5 seconds (was 10s)
-                const targetFwd = Math.min(videoPlayer.currentTime + 5, getDuration());
-                videoPlayer.currentTime = targetFwd;
+                seekTo(getCurrentTime() + 5);
                 startInactivityTimer();
                 showSeekFeedback('5s', 'forward');
                 break;
             case 'ArrowLeft': // Rewind 5s
                 e.preventDefault();
-                videoPlayer.currentTime = Math.max(videoPlayer.currentTime - 5, 0);
+                seekTo(getCurrentTime() - 5);
                 startInactivityTimer();
                 showSeekFeedback('5s', 'rewind');
                 break;
@@ -4,11 +4,295 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const url = require('url');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { AsyncLocalStorage } = require('async_hooks');
+const assert = require('assert');
 
 // --- Configuration ---
-const VIDEO_DIR = '/app/data';
+// Tunable settings come from (lowest to highest priority) the defaults in
+// CONFIG_SCHEMA, config.json (or the file named by CONFIG_FILE) and
+// environment variables. Everything is validated once at startup; invalid
+// values stop the server with a list of what is wrong. GET /config shows the
+// effective values. Secrets (AUTH_PASSWORD, API_TOKENS, AUTH_SECRET) are
+// environment-only and never part of it.
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const CONFIG_SCHEMA = {
+    port: { env: 'PORT', type: 'int', default: 3000, min: 1, max: 65535 },
+    videoDir: { env: 'VIDEO_DIR', type: 'string', default: '/app/data' }, // Local library root
+    hlsSegmentSeconds: { env: 'HLS_SEGMENT_SECONDS', type: 'int', default: 6, min: 1, max: 30 },
+    safetyMargin: { env: 'SAFETY_MARGIN', type: 'number', default: 8, min: 0 }, // Seconds behind the encoded end that are safe to seek to
+    playlistWaitAttempts: { env: 'PLAYLIST_WAIT_ATTEMPTS', type: 'int', default: 100, min: 1 }, // /start waits attempts x interval for the first segment
+    playlistWaitIntervalMs: { env: 'PLAYLIST_WAIT_INTERVAL_MS', type: 'int', default: 500, min: 50 },
+    sessionTimeoutMs: { env: 'SESSION_TIMEOUT_MS', type: 'int', default: 2 * 60 * 60 * 1000, min: 60 * 1000 },
+    x264Preset: { env: 'X264_PRESET', type: 'enum', values: X264_PRESETS, default: 'ultrafast' },
+    x264Crf: { env: 'X264_CRF', type: 'int', default: 23, min: 0, max: 51 },
+    audioBitrateStereoKbps: { env: 'AUDIO_BITRATE_STEREO_KBPS', type: 'int', default: 192, min: 32, max: 512 },
+    audioBitrateSurroundKbps: { env: 'AUDIO_BITRATE_SURROUND_KBPS', type: 'int', default: 640, min: 64, max: 640 }, // AC3 tops out at 640
+    transcodeLadder: { env: 'TRANSCODE_LADDER', type: 'string', default: '1080:6000,720:3000,480:1200', pattern: /^\d+:\d+(,\d+:\d+)*$/ },
+    maxConcurrentTranscodes: { env: 'MAX_CONCURRENT_TRANSCODES', type: 'int', default: 2, min: 1 },
+    probeTimeoutMs: { env: 'PROBE_TIMEOUT_MS', type: 'int', default: 60000, min: 1000 },
+    probeCacheTtlMs: { env: 'PROBE_CACHE_TTL_MS', type: 'int', default: 24 * 60 * 60 * 1000, min: 0 },
+    signedUrlTtlSeconds: { env: 'SIGNED_URL_TTL_SECONDS', type: 'int', default: 6 * 60 * 60, min: 60 },
+    corsOrigins: { env: 'CORS_ORIGINS', type: 'string', default: '*' },
+    urlHostAllowlist: { env: 'URL_HOST_ALLOWLIST', type: 'string', default: '' },
+    urlHostDenylist: { env: 'URL_HOST_DENYLIST', type: 'string', default: '' },
+    allowPrivateUrls: { env: 'ALLOW_PRIVATE_URLS', type: 'bool', default: false },
+    logDir: { env: 'LOG_DIR', type: 'string', default: __dirname },
+    logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    logMaxBytes: { env: 'LOG_MAX_BYTES', type: 'int', default: 10 * 1024 * 1024, min: 1024 },
+    logRetention: { env: 'LOG_RETENTION', type: 'int', default: 7, min: 1 } // Rotated files kept
+};
+const CONFIG_FILE = process.env.CONFIG_FILE || path.join(__dirname, 'config.json');
+
+// Value from the config file (JSON types) or the environment (strings) -> { value } or { error }
+function parseConfigValue(spec, raw, fromEnv) {
+    switch (spec.type) {
+        case 'int':
+        case 'number': {
+            const value = fromEnv ? Number(raw.trim()) : raw;
+            if (typeof value !== 'number' || !isFinite(value) || (fromEnv && raw.trim() === '')) return { error: 'must be a number' };
+            if (spec.type === 'int' && !Number.isInteger(value)) return { error: 'must be a whole number' };
+            if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` };
+            if (spec.max !== undefined && value > spec.max) return { error: `must be at most ${spec.max}` };
+            return { value };
+        }
+        case 'bool': {
+            const value = fromEnv ? { true: true, false: false }[raw.trim()] : raw;
+            if (typeof value !== 'boolean') return { error: 'must be true or false' };
+            return { value };
+        }
+        case 'enum':
+            if (!spec.values.includes(raw)) return { error: `must be one of ${spec.values.join(', ')}` };
+            return { value: raw };
+        default:
+            if (typeof raw !== 'string') return { error: 'must be a string' };
+            if (spec.pattern && !spec.pattern.test(raw)) return { error: `has an invalid format (expected ${spec.default})` };
+            return { value: raw };
+    }
+}
+
+function loadConfig() {
+    const errors = [];
+    let fileSettings = {};
+    if (fs.existsSync(CONFIG_FILE)) {
+        try {
+            fileSettings = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+            if (!fileSettings || typeof fileSettings !== 'object' || Array.isArray(fileSettings)) throw new Error('expected a JSON object');
+        } catch (e) {
+            errors.push(`${CONFIG_FILE}: ${e.message}`);
+            fileSettings = {};
+        }
+        for (const key of Object.keys(fileSettings)) {
+            if (!CONFIG_SCHEMA[key]) errors.push(`${CONFIG_FILE}: unknown setting "${key}"`);
+        }
+    } else if (process.env.CONFIG_FILE) {
+        errors.push(`CONFIG_FILE ${CONFIG_FILE} does not exist`);
+    }
+
+    const settings = {};
+    const sources = {};
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        let result = { value: spec.default };
+        let source = 'default';
+        if (process.env[spec.env] !== undefined) {
+            result = parseConfigValue(spec, process.env[spec.env], true);
+            source = 'env';
+            if (result.error) errors.push(`${spec.env}=${JSON.stringify(process.env[spec.env])} ${result.error}`);
+        } else if (fileSettings[key] !== undefined) {
+            result = parseConfigValue(spec, fileSettings[key], false);
+            source = 'file';
+            if (result.error) errors.push(`${CONFIG_FILE}: "${key}" ${result.error}`);
+        }
+        settings[key] = result.value;
+        sources[key] = source;
+    }
+
+    if (errors.length > 0) {
+        console.error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+        process.exit(1);
+    }
+    return { settings, sources };
+}
+
+const config = loadConfig();
+const PORT = config.settings.port;
+const VIDEO_DIR = config.settings.videoDir;
 const HLS_DIR_NAME = 'hls';
+const HLS_SEGMENT_SECONDS = config.settings.hlsSegmentSeconds;
+const SEGMENT_LOOKAHEAD = 3;       // Segments ahead of the encoder worth waiting for instead of restarting
+const SEGMENT_WAIT_MS = 60 * 1000; // Give up on an on-demand segment after this long
+// Logging: JSON lines in LOG_DIR/server.log, rotated by size or age
+const LOG_DIR = config.settings.logDir;
+const LOG_MAX_BYTES = config.settings.logMaxBytes;
+const LOG_ROTATE_MS = 24 * 60 * 60 * 1000;
+const LOG_RETENTION = config.settings.logRetention;
+const MAX_CLIENT_LOG_BYTES = 4096;
+const SAFETY_MARGIN = config.settings.safetyMargin;
+const SESSION_TIMEOUT_MS = config.settings.sessionTimeoutMs;
+const PLAYLIST_WAIT_ATTEMPTS = config.settings.playlistWaitAttempts;
+const PLAYLIST_WAIT_INTERVAL_MS = config.settings.playlistWaitIntervalMs;
+const X264_PRESET = config.settings.x264Preset;
+const X264_CRF = config.settings.x264Crf;
+
+// Adaptive bitrate ladder for FULL_TRANSCODE (highest first).
+// transcodeLadder / TRANSCODE_LADDER="1080:6000,720:3000,480:1200" (height:maxrate in kbps).
+// Rungs taller than the source are skipped, so nothing is ever upscaled.
+const TRANSCODE_LADDER = config.settings.transcodeLadder
+    .split(',')
+    .map(rung => {
+        const [height, maxrateKbps] = rung.split(':').map(n => parseInt(n));
+        return { height, maxrateKbps };
+    })
+    .filter(rung => rung.height > 0 && rung.maxrateKbps > 0)
+    .sort((a, b) => b.height - a.height);
 const PUBLIC_DIR = path.join(__dirname, 'public');
+const CACHE_DIR = path.join(__dirname, 'cache'); // Survives restarts (unlike public/hls)
+const SUBTITLE_CACHE_DIR = path.join(CACHE_DIR, 'subtitles');
+const SUBTITLE_EXTRACT_TIMEOUT_MS = 5 * 60 * 1000; // Reads the whole source; a hung ffmpeg is killed after this
+const EXTERNAL_SUBTITLE_DIR = path.join(CACHE_DIR, 'external-subtitles');
+const PROBE_CACHE_DIR = path.join(CACHE_DIR, 'probes');
+const SESSIONS_FILE = path.join(CACHE_DIR, 'sessions.json');
+const SESSION_SAVE_INTERVAL_MS = 10000;
+const HISTORY_FILE = path.join(CACHE_DIR, 'history.json');
+const DEFAULT_PROFILE = 'default';
+const WATCHED_THRESHOLD = 0.9; // Share of the duration after which a title counts as watched
+const SSE_KEEPALIVE_MS = 25000; // Proxies drop silent connections
+const MAX_CONCURRENT_TRANSCODES = config.settings.maxConcurrentTranscodes;
+const QUEUE_RETRY_SECONDS = 3; // Clients retry /start this often while queued
+const QUEUE_STALE_MS = 15000; // Queued client stopped retrying: drop it
+const ACTIVE_HEARTBEAT_MS = 10000; // Pinged this recently = actively watching
+const ENCODE_SLOW_GRACE_MS = 10000; // ffmpeg's speed is an average, too noisy to judge right after start
+const ERROR_TAIL_LINES = 20; // ffmpeg error lines kept per session for /status
+// Access control: off unless a password or API token is configured
+const AUTH_PASSWORD = process.env.AUTH_PASSWORD || '';
+const API_TOKENS = (process.env.API_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
+const AUTH_ENABLED = !!AUTH_PASSWORD || API_TOKENS.length > 0;
+const AUTH_COOKIE_MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
+// Reachable without login: the player and admin pages with their assets, and the login endpoints
+const PUBLIC_PATHS = ['/', '/index.html', '/app.js', '/style.css', '/hls.min.js', '/admin.html', '/admin.js', '/login', '/auth-status'];
+const SIGNED_URL_TTL_SECONDS = config.settings.signedUrlTtlSeconds; // Must outlast a movie
+const CORS_ORIGINS = config.settings.corsOrigins.split(',').map(o => o.trim()).filter(Boolean);
+// Source URL policy (see URL Validation)
+const ALLOWED_URL_PROTOCOLS = ['http:', 'https:'];
+const URL_HOST_ALLOWLIST = config.settings.urlHostAllowlist.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const URL_HOST_DENYLIST = config.settings.urlHostDenylist.split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const ALLOW_PRIVATE_URLS = config.settings.allowPrivateUrls; // e.g. a media server on the LAN
+const FFMPEG_PROTOCOL_WHITELIST = 'http,https,tcp,tls,crypto';
+const LIBRARY_EXTENSIONS = ['.mkv', '.mp4', '.m4v', '.avi', '.mov', '.webm', '.ts', '.m2ts', '.wmv', '.flv', '.mpg', '.mpeg'];
+const LIBRARY_RESCAN_INTERVAL_MS = 10 * 60 * 1000; // Fallback when fs.watch misses changes
+const THUMBNAIL_DIR = path.join(CACHE_DIR, 'thumbnails');
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_COLUMNS = 10; // Sprite sheets are COLUMNS x ROWS thumbnails
+const THUMBNAIL_ROWS = 10;
+const THUMBNAIL_MIN_INTERVAL = 10; // Seconds between thumbnails (grows for long videos)
+const THUMBNAIL_MAX_COUNT = 1000;
+const THUMBNAIL_MAX_JOBS = 1; // Generating ffmpegs at once (each reads the whole source)
+const THUMBNAIL_QUEUE_MAX = 20; // Waiting jobs; beyond that clients just ask again later
+const THUMBNAIL_RETRY_MS = 10 * 60 * 1000; // A failed source is tried again after this
+const PROBE_TIMEOUT_MS = config.settings.probeTimeoutMs; // Hung ffprobe is killed after this
+const PROBE_CACHE_TTL_MS = config.settings.probeCacheTtlMs;
+const MAX_SUBTITLE_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// --- Logging ---
+// One JSON object per line, written through an append stream so logging
+// never blocks the event loop. Entries made while handling a request carry
+// its session ID (AsyncLocalStorage follows the request into ffmpeg, fs and
+// timer callbacks). The file is rotated by size and age, the oldest rotated
+// files beyond LOG_RETENTION are deleted. Signed tokens and credentials in
+// URLs are redacted before anything is written.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = config.settings.logLevel;
+const logFile = path.join(LOG_DIR, 'server.log');
+const logContext = new AsyncLocalStorage();
+let logStream = null;
+let logSize = 0;
+let logOpenedAt = 0;
+
+// Query parameters that carry secrets (also URL-encoded inside another URL)
+const REDACT_PARAM_PATTERN = /((?:[?&;]|%3F|%26)(?:[\w.-]*(?:token|sig|signature|secret|password|passwd|policy|credential|hmac|auth)[\w.-]*|key|hash|x-amz-[\w-]+)(?:=|%3D))(?:(?!%26)[^&\s"'#)])+/gi;
+// Our /s/<exp>/<sig>/ links (signValue() output, 32 hex characters)
+const REDACT_SIGNED_PATH_PATTERN = /(\/s\/\d+\/)[0-9a-f]{32}(?=\/)/gi;
+// Long opaque path segments (signed CDN paths) and JWTs
+const REDACT_TOKEN_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]*|[A-Za-z0-9_-]{40,}/g;
+
+function redact(text) {
+    return text
+        .replace(REDACT_PARAM_PATTERN, '$1[REDACTED]')
+        .replace(REDACT_SIGNED_PATH_PATTERN, '$1[REDACTED]')
+        .replace(REDACT_TOKEN_PATTERN, '[REDACTED]');
+}
+
+function openLogStream() {
+    try {
+        const stats = fs.statSync(logFile);
+        logSize = stats.size;
+        logOpenedAt = stats.birthtimeMs || stats.mtimeMs;
+    } catch (e) {
+        logSize = 0;
+        logOpenedAt = Date.now();
+    }
+    logStream = fs.createWriteStream(logFile, { flags: 'a' });
+    logStream.on('error', e => console.error('Failed to write to log file:', e.message));
+}
+
+function rotateLog() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    try {
+        // Writes still queued on the old stream follow the renamed file
+        fs.renameSync(logFile, path.join(LOG_DIR, `server-${stamp}.log`));
+    } catch (e) {
+        console.error('Failed to rotate log file:', e.message);
+    }
+    logStream.end();
+    openLogStream();
+
+    fs.readdir(LOG_DIR, (err, files) => {
+        if (err) return;
+        files.filter(f => /^server-.+\.log$/.test(f))
+            .sort() // ISO stamps: oldest first
+            .slice(0, -LOG_RETENTION)
+            .forEach(f => fs.unlink(path.join(LOG_DIR, f), () => { }));
+    });
+}
+
+// Flushes what is queued (called before exiting)
+function closeLog(callback) {
+    logStream.end(callback);
+}
+
+// Session the request is about: ?session= or the /hls/<session>/ path
+function getRequestSessionId(req) {
+    const match = req.url.match(/[?&]session=([^&]+)|\/hls\/([^/?]+)\//);
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1] || match[2]).slice(0, 64);
+    } catch (e) {
+        return null;
+    }
+}
+
+function log(msg, level = 'info', fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+    const context = logContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        ...(context && context.session ? { session: context.session } : {}),
+        ...fields,
+        msg: redact(String(msg))
+    };
+    console.log(`[${entry.time}] ${level === 'info' ? '' : `${level.toUpperCase()} `}${entry.msg}`);
+
+    if (logSize >= LOG_MAX_BYTES || Date.now() - logOpenedAt >= LOG_ROTATE_MS) rotateLog();
+    const line = JSON.stringify(entry) + '\n';
+    logSize += Buffer.byteLength(line);
+    logStream.write(line);
+}
+
+openLogStream();
 
 // --- Global State (Replaced by Session Manager) ---
 // const ffmpegProcess = null; // OLD
@@ -22,6 +306,11 @@ const sessions = new Map();
 //   process: ChildProcess | null,
 //   url: string | null,
 //   lastPing: number (timestamp),
+//   startOffset: number (seconds into the source where the current run began),
+//   runStartSegment: number (first segment the current ffmpeg run writes),
+//   vod: object | null (full-length playlist info; segments made on demand),
+//   interrupted: boolean (restored after a restart, encoder not running yet),
+//   lastHeartbeat: number (last /ping, used for queue priority),
 //   dir: string (path)
 // }
 
@@ -29,68 +318,1664 @@ const sessions = new Map();
 const hlsBaseDir = path.join(PUBLIC_DIR, HLS_DIR_NAME);
 if (!fs.existsSync(hlsBaseDir)) {
     fs.mkdirSync(hlsBaseDir, { recursive: true });
-} else {
-    // Cleanup ALL stale sessions on startup (Hard Reset)
+}
+
+// Session IDs become directory names under hlsBaseDir, so only plain
+// tokens are accepted (from query strings and from the persisted file alike)
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+function createSession(sessionId) {
+    if (!isValidSessionId(sessionId)) throw new Error(`Invalid session ID: ${sessionId}`);
+    return {
+        id: sessionId,
+        process: null,
+        url: null,
+        mode: null,           // Track current mode
+        forceTranscode: false, // Track transcode preference
+        audioProfile: null,    // Track audio enhancement profile
+        passthrough: false,    // Track bit-perfect audio preference
+        burnSub: null,         // Image subtitle stream burned into the video
+        startOffset: 0,       // Source time at which the current run began
+        runStartSegment: 0,   // First segment number of the current run
+        vod: null,            // { duration, segmentCount, variantCount, spawnEncoder } in VOD mode
+        interrupted: false,   // Restored from disk; /start resumes it
+        lastHeartbeat: 0,     // Last /ping (not /start), for queue priority
+        starting: 0,          // Admitted /start still probing (timestamp): holds a transcode slot
+        device: null,         // TV brand ('samsung', 'lg', ...) or 'browser', from the last /start
+        encodeStats: null,    // Last ffmpeg -progress block { frame, fps, speed, bitrate, position, slow, updatedAt }
+        errorTail: [],        // Last ERROR_TAIL_LINES ffmpeg error lines { time, line }
+        lastPing: Date.now(),
+        dir: path.join(hlsBaseDir, sessionId)
+    };
+}
+
+// --- Transcode Admission ---
+// At most MAX_CONCURRENT_TRANSCODES encoders run at once. A /start that
+// would exceed it is queued and answered 503 with its position; the client
+// retries every QUEUE_RETRY_SECONDS. Sessions that are already watching
+// something (recent /ping) go ahead of new ones, then first come first served.
+// On-demand segment restarts of a session that is watching are not queued:
+// hls.js cannot wait on a 503 for a fragment, it fails playback.
+const transcodeQueue = new Map(); // sessionId -> { queuedAt, lastSeen }
+
+// A session that was admitted holds its slot while it probes (session.starting),
+// before its encoder exists; a start stuck longer than a probe can take is ignored
+function countRunningTranscodes(exceptSession) {
+    let count = 0;
+    for (const session of sessions.values()) {
+        const starting = session.starting && Date.now() - session.starting < PROBE_TIMEOUT_MS + 60 * 1000;
+        if (session !== exceptSession && (session.process || starting)) count++;
+    }
+    return count;
+}
+
+function isActivelyWatching(sessionId) {
+    const session = sessions.get(sessionId);
+    return !!session && Date.now() - session.lastHeartbeat < ACTIVE_HEARTBEAT_MS;
+}
+
+// Returns 0 if the session may start an encoder now, else its 1-based queue position
+function requestTranscodeSlot(session) {
+    const now = Date.now();
+    for (const [sid, entry] of transcodeQueue) {
+        if (now - entry.lastSeen > QUEUE_STALE_MS || !sessions.has(sid)) transcodeQueue.delete(sid);
+    }
+
+    const entry = transcodeQueue.get(session.id) || { queuedAt: now };
+    entry.lastSeen = now;
+    transcodeQueue.set(session.id, entry);
+
+    const order = [...transcodeQueue.keys()].sort((a, b) =>
+        (isActivelyWatching(b) - isActivelyWatching(a)) ||
+        (transcodeQueue.get(a).queuedAt - transcodeQueue.get(b).queuedAt));
+    const freeSlots = MAX_CONCURRENT_TRANSCODES - countRunningTranscodes(session);
+    const index = order.indexOf(session.id);
+
+    if (index < freeSlots) {
+        transcodeQueue.delete(session.id);
+        return 0;
+    }
+    return index - Math.max(freeSlots, 0) + 1;
+}
+
+function sendQueued(res, position) {
+    res.writeHead(503, { 'Content-Type': 'application/json', 'Retry-After': String(QUEUE_RETRY_SECONDS) });
+    res.end(JSON.stringify({ status: 'queued', position, retryAfter: QUEUE_RETRY_SECONDS }));
+}
+
+// --- Session Persistence ---
+// Sessions are written to SESSIONS_FILE periodically and on shutdown, and
+// restored on boot together with their HLS directories. Processes do not
+// survive a restart: restored sessions are marked `interrupted`, /ping tells
+// the player, and its next /start keeps the finished segments (see RESUME).
+const PERSISTED_SESSION_FIELDS = ['id', 'url', 'mode', 'forceTranscode', 'audioProfile', 'passthrough', 'burnSub', 'startOffset', 'runStartSegment', 'lastPing', 'device'];
+
+function saveSessions() {
+    const data = [...sessions.values()].map(session => {
+        const saved = {};
+        PERSISTED_SESSION_FIELDS.forEach(field => saved[field] = session[field]);
+        return saved;
+    });
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(`${SESSIONS_FILE}.tmp`, JSON.stringify(data, null, 2));
+        fs.renameSync(`${SESSIONS_FILE}.tmp`, SESSIONS_FILE);
+    } catch (e) {
+        log(`Failed to save sessions: ${e.message}`, 'error');
+    }
+}
+
+function restoreSessions() {
+    let saved = [];
     try {
-        fs.rmSync(hlsBaseDir, { recursive: true, force: true });
-        fs.mkdirSync(hlsBaseDir, { recursive: true });
-        console.log('Cleaned HLS directory on startup.');
+        saved = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    } catch (e) { }
+
+    for (const entry of saved) {
+        if (!entry || !isValidSessionId(entry.id)) continue;
+        const session = createSession(entry.id);
+        PERSISTED_SESSION_FIELDS.forEach(field => {
+            if (field in entry) session[field] = entry[field];
+        });
+        if (!fs.existsSync(session.dir)) continue;
+        session.interrupted = !!session.url;
+        sessions.set(session.id, session);
+    }
+
+    // Re-adopt directories without a saved session (e.g. crash before the
+    // first save) so the cleanup job expires them like any idle session.
+    let adopted = 0;
+    for (const name of fs.readdirSync(hlsBaseDir)) {
+        if (sessions.has(name) || !isValidSessionId(name)) continue;
+        const dir = path.join(hlsBaseDir, name);
+        try {
+            const stats = fs.statSync(dir);
+            if (!stats.isDirectory()) continue;
+            const session = createSession(name);
+            session.lastPing = stats.mtimeMs;
+            sessions.set(name, session);
+            adopted++;
+        } catch (e) { }
+    }
+
+    log(`[SessionManager] Restored ${sessions.size - adopted} sessions, adopted ${adopted} orphaned directories.`);
+}
+
+// --- Watch History ---
+// Per profile (a name chosen in the player, shared across devices) and per
+// source URL: last position, duration and a watched flag. Fed by /ping,
+// saved with the sessions.
+// profile -> url -> { url, title, position, duration, watched, updatedAt }
+let watchHistory = {};
+let historyDirty = false;
+
+function loadHistory() {
+    try {
+        watchHistory = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
     } catch (e) {
-        console.error('Error cleaning HLS directory:', e);
+        watchHistory = {};
     }
 }
 
+function saveHistory() {
+    if (!historyDirty) return;
+    try {
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(`${HISTORY_FILE}.tmp`, JSON.stringify(watchHistory));
+        fs.renameSync(`${HISTORY_FILE}.tmp`, HISTORY_FILE);
+        historyDirty = false;
+    } catch (e) {
+        log(`Failed to save watch history: ${e.message}`, 'error');
+    }
+}
+
+function normalizeProfile(name) {
+    return typeof name === 'string' && /^[\w .-]{1,32}$/.test(name) ? name : DEFAULT_PROFILE;
+}
+
+// Display name: library title, else the file name from the URL
+function getSourceTitle(videoUrl) {
+    const item = getLibraryItem(videoUrl);
+    if (item) {
+        return item.type === 'episode'
+            ? `${item.title} S${String(item.season).padStart(2, '0')}E${String(item.episode).padStart(2, '0')}`
+            : item.title;
+    }
+    try {
+        return decodeURIComponent(path.basename(new URL(videoUrl).pathname)) || videoUrl;
+    } catch (e) {
+        return videoUrl;
+    }
+}
+
+function getHistoryEntry(profile, videoUrl, create = false) {
+    if (!watchHistory[profile]) {
+        if (!create) return null;
+        watchHistory[profile] = {};
+    }
+    if (!watchHistory[profile][videoUrl] && create) {
+        watchHistory[profile][videoUrl] = { url: videoUrl, title: getSourceTitle(videoUrl), position: 0, duration: 0, watched: false, updatedAt: 0 };
+    }
+    return watchHistory[profile][videoUrl] || null;
+}
+
+function recordProgress(profile, videoUrl, position, duration) {
+    const entry = getHistoryEntry(profile, videoUrl, true);
+    entry.position = position;
+    if (duration > 0) entry.duration = duration;
+    if (entry.duration > 0 && position / entry.duration >= WATCHED_THRESHOLD) entry.watched = true;
+    entry.updatedAt = Date.now();
+    historyDirty = true;
+}
+
+function setWatched(profile, videoUrl, watched) {
+    const entry = getHistoryEntry(profile, videoUrl, true);
+    entry.watched = watched;
+    if (!watched && entry.duration > 0 && entry.position / entry.duration >= WATCHED_THRESHOLD) entry.position = 0; // Rewatch from the start
+    entry.updatedAt = Date.now();
+    historyDirty = true;
+    return entry;
+}
+
+restoreSessions();
+loadHistory();
+setInterval(() => {
+    saveSessions();
+    saveHistory();
+}, SESSION_SAVE_INTERVAL_MS);
+
+// Deploys stop the server with SIGTERM: save state and take the encoders down with us
+['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => {
+    saveSessions();
+    saveHistory();
+    for (const session of sessions.values()) {
+        if (session.process) {
+            try {
+                session.process.kill('SIGKILL');
+            } catch (e) { }
+        }
+    }
+    closeLog(() => process.exit(0));
+}));
+
 // --- Session Cleanup Job (Every 5 Minutes) ---
 setInterval(() => {
     const now = Date.now();
-    const TIMEOUT_MS = 2 * 60 * 60 * 1000; // 2 Hours
 
-    console.log(`[SessionManager] Running Cleanup. Active Sessions: ${sessions.size}`);
+    log(`[SessionManager] Running Cleanup. Active Sessions: ${sessions.size}`, 'debug');
 
     for (const [sid, session] of sessions.entries()) {
-        if (now - session.lastPing > TIMEOUT_MS) {
-            console.log(`[SessionManager] Session ${sid} expired (2h inactivity). Cleaning up.`);
+        if (now - session.lastPing > SESSION_TIMEOUT_MS) {
+            log(`[SessionManager] Session ${sid} expired (${Math.round(SESSION_TIMEOUT_MS / 60000)} min inactivity). Cleaning up.`, 'info', { session: sid });
+            removeSession(session);
+        }
+    }
+    saveSessions();
+}, 5 * 60 * 1000); // Check every 5 mins
 
-            // 1. Kill Process
-            if (session.process) {
-                try {
-                    session.process.kill('SIGKILL');
-                } catch (e) { }
+// Kills the encoder, deletes the HLS directory and forgets the session
+function removeSession(session) {
+    // 1. Kill Process
+    if (session.process) {
+        try {
+            session.process.kill('SIGKILL');
+        } catch (e) { }
+    }
+    stopProgressWatch(session);
+
+    // 2. Remove Files (never anything outside the HLS directory)
+    try {
+        if (path.dirname(session.dir) === hlsBaseDir && fs.existsSync(session.dir)) {
+            fs.rmSync(session.dir, { recursive: true, force: true });
+        }
+    } catch (e) {
+        log(`Failed to clean dir for ${session.id}: ${e.message}`, 'error', { session: session.id });
+    }
+
+    // 3. Delete from Map
+    sessions.delete(session.id);
+}
+
+// --- Streaming Modes ---
+const MODE = {
+    NATIVE_DIRECT: 'NATIVE_DIRECT',       // No FFmpeg, Proxy only
+    AUDIO_ONLY: 'AUDIO_PROCESS_ONLY',     // Video Copy, Audio Transcode (Filter)
+    FULL_TRANSCODE: 'FULL_TRANSCODE'      // Video Transcode, Audio Transcode
+};
+
+// --- Subtitle Codecs ---
+const TEXT_SUBTITLE_CODECS = [
+    'subrip', 'webvtt', 'ass', 'ssa', 'mov_text', 'mpl2', 'text'
+];
+// Bitmap subtitles (Blu-ray PGS, DVD VobSub, DVB): no WebVTT possible, burn-in only
+const IMAGE_SUBTITLE_CODECS = [
+    'hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'xsub'
+];
+
+// --- Channel Layout Normalisation ---
+// Brings each probed source to the output layout ('stereo' or '5.1') before the
+// enhancement profile runs, so profiles only ever see those two layouts.
+// Channels are addressed by position (c0..c7) because the same count comes in
+// several flavours (5.1 vs 5.1(side), or no layout tag at all).
+// ffmpeg orders: 5.1 = FL FR FC LFE BL BR, 7.1 = FL FR FC LFE BL BR SL SR.
+// '<' makes pan renormalise the gains so the downmix cannot clip.
+function buildChannelNormalizer(channels, outputLayout) {
+    if (outputLayout === 'stereo') {
+        switch (channels) {
+            case 1: return 'pan=stereo|FL=c0|FR=c0';
+            case 2: return 'pan=stereo|FL=c0|FR=c1';
+            // 5.1 -> stereo (ITU-R BS.775): centre and surrounds at -3dB, LFE dropped
+            case 6: return 'pan=stereo|FL<c0+0.707*c2+0.707*c4|FR<c1+0.707*c2+0.707*c5';
+            // 7.1 -> stereo: back and side surrounds both fold in at -3dB
+            case 8: return 'pan=stereo|FL<c0+0.707*c2+0.707*c4+0.707*c6|FR<c1+0.707*c2+0.707*c5+0.707*c7';
+        }
+    } else {
+        switch (channels) {
+            // No fake upmix: mono goes to the centre, stereo stays on the front pair
+            case 1: return 'pan=5.1|FC=c0';
+            case 2: return 'pan=5.1|FL=c0|FR=c1';
+            case 6: return 'pan=5.1|FL=c0|FR=c1|FC=c2|LFE=c3|BL=c4|BR=c5';
+            // 7.1 -> 5.1: side surrounds fold into the back pair at -3dB
+            case 8: return 'pan=5.1|FL=c0|FR=c1|FC=c2|LFE=c3|BL<0.707*c4+0.707*c6|BR<0.707*c5+0.707*c7';
+        }
+    }
+    // Unusual layouts (3.0, 4.0, 6.1, ...): swresample's default matrix
+    return `aformat=channel_layouts=${outputLayout}`;
+}
+
+// --- Audio Enhancement Profiles ---
+// Each profile takes a normalised input label (stereo or 5.1, see above) and
+// produces the labelled filter output [outa<i>]. A null builder means "no
+// enhancement": only the channel normalisation is applied.
+// Selected per request with /start?audioProfile=<name>.
+const DEFAULT_AUDIO_PROFILE = 'dialogue';
+const AUDIO_PROFILES = {
+    off: null,
+
+    // Dialogue boost (the original "treble boost" chain)
+    // Stereo: presence EQ on both channels.
+    // 5.1:
+    // 1. Split 5.1 channels
+    // 2. EQ boost on FC (center/dialog) and FL/FR
+    // 3. Mix boosted FC into FL/FR for wider dialog
+    // 4. Boost FC volume
+    // 5. Rejoin to 5.1
+    dialogue: (input, i, layout) => layout === 'stereo'
+        ? `${input}equalizer=f=3000:t=q:w=1:g=4,equalizer=f=6000:t=q:w=1:g=3[outa${i}]`
+        : `${input}channelsplit=channel_layout=5.1[FL_${i}][FR_${i}][FC_${i}][LFE_${i}][SL_${i}][SR_${i}];` +
+        `[FC_${i}]equalizer=f=5000:t=q:w=1:g=4,equalizer=f=8000:t=q:w=1:g=3[eFC_${i}];` +
+        `[FL_${i}]equalizer=f=6000:t=q:w=1:g=4[eFL_${i}];` +
+        `[FR_${i}]equalizer=f=6000:t=q:w=1:g=4[eFR_${i}];` +
+        `[eFC_${i}]asplit=3[eFC_L_${i}][eFC_R_${i}][eFC_C_${i}];` +
+        `[eFL_${i}][eFC_L_${i}]amix=inputs=2:weights='0.70 0.30'[nFL_${i}];` +
+        `[eFR_${i}][eFC_R_${i}]amix=inputs=2:weights='0.70 0.30'[nFR_${i}];` +
+        `[eFC_C_${i}]volume=1.5[nFC_${i}];` +
+        `[nFL_${i}][nFR_${i}][nFC_${i}][LFE_${i}][SL_${i}][SR_${i}]join=inputs=6:channel_layout=5.1[outa${i}]`,
+
+    // Night mode: squash dynamic range so explosions don't wake the house
+    // and quiet dialogue stays audible, then make up the lost level.
+    night: (input, i) =>
+        `${input}acompressor=threshold=-24dB:ratio=6:attack=10:release=250:makeup=6dB,alimiter=limit=0.9[outa${i}]`,
+
+    // Loudness normalised to -16 LUFS (EBU R128, single pass).
+    // loudnorm upsamples to 192kHz internally, so resample back to 48kHz.
+    loudnorm: (input, i) =>
+        `${input}loudnorm=I=-16:LRA=11:TP=-1.5,aresample=48000[outa${i}]`
+};
+
+// --- HLS Progress Helpers ---
+// Sums every #EXTINF in the session's video variant playlist to get how many
+// seconds of the current run have been written to disk.
+// NOTE: main.m3u8 is the master playlist and carries no #EXTINF lines;
+// the video rendition is always variant 0. In VOD mode stream_0.m3u8 is our
+// full-length playlist, so ffmpeg's own enc_0.m3u8 is read instead.
+function getEncodedDuration(dir, playlistName = 'stream_0.m3u8') {
+    let encodedDuration = 0;
+    try {
+        const m3u8Path = path.join(dir, playlistName);
+        if (fs.existsSync(m3u8Path)) {
+            const content = fs.readFileSync(m3u8Path, 'utf8');
+            // Sum all #EXTINF:duration, lines
+            const matches = content.match(/#EXTINF:([\d.]+),/g);
+            if (matches) {
+                encodedDuration = matches.reduce((acc, val) => {
+                    return acc + parseFloat(val.split(':')[1].replace(',', ''));
+                }, 0);
             }
+        }
+    } catch (e) { }
+    return encodedDuration;
+}
+
+// --- Encode Progress ---
+// The encoder runs with `-progress pipe:1`: about twice a second it writes a
+// block of key=value lines (frame, fps, out_time_us, speed, ...) ending with
+// progress=continue|end. stderr only carries log messages then.
+function createLineReader(onLine) {
+    let buffer = '';
+    return (chunk) => {
+        const lines = (buffer + chunk.toString()).split(/\r?\n|\r/);
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line.trim()) onLine(line.trim());
+        }
+    };
+}
+
+function createProgressReader(onBlock) {
+    let block = {};
+    return createLineReader((line) => {
+        const eq = line.indexOf('=');
+        if (eq === -1) return;
+        const key = line.slice(0, eq);
+        block[key] = line.slice(eq + 1);
+        if (key === 'progress') {
+            onBlock(block);
+            block = {};
+        }
+    });
+}
+
+function recordEncodeError(session, line) {
+    session.errorTail.push({ time: new Date().toISOString(), line });
+    if (session.errorTail.length > ERROR_TAIL_LINES) session.errorTail.shift();
+}
+
+function getEncodeStatus(session) {
+    return { running: !!session.process, ...(session.encodeStats || {}) };
+}
+
+// --- Session Events ---
+// Each player keeps one SSE stream open (/events). Encode progress, mode
+// decisions, fallbacks and errors are pushed as they happen; /ping remains
+// as keep-alive (and fallback when the stream is down).
+// Progress is driven by fs.watch on the encoder's playlist, so the playlist
+// is only parsed when ffmpeg actually rewrote it.
+const sessionStreams = new Map(); // sessionId -> Set of open SSE responses
+
+function pushSessionEvent(sessionId, event, data) {
+    const streams = sessionStreams.get(sessionId);
+    if (!streams) return;
+    for (const res of streams) sendEvent(res, event, data);
+}
+
+function getSessionProgress(session) {
+    const encodedDuration = session.encodedDuration || 0;
+    return {
+        encodedDuration,
+        liveEdgeTime: Math.max(0, encodedDuration - SAFETY_MARGIN),
+        startOffset: session.startOffset,
+        vod: !!session.vod
+    };
+}
+
+function stopProgressWatch(session) {
+    if (session.progressWatcher) {
+        session.progressWatcher.close();
+        session.progressWatcher = null;
+    }
+}
+
+function watchEncodeProgress(session) {
+    stopProgressWatch(session);
+    const playlistName = session.vod ? 'enc_0.m3u8' : 'stream_0.m3u8';
+    session.encodedDuration = getEncodedDuration(session.dir, playlistName);
+
+    let pending = null;
+    try {
+        session.progressWatcher = fs.watch(session.dir, (eventType, filename) => {
+            if (filename !== playlistName || pending) return;
+            // ffmpeg rewrites the playlist in a couple of steps per segment
+            pending = setTimeout(() => {
+                pending = null;
+                session.encodedDuration = getEncodedDuration(session.dir, playlistName);
+                pushSessionEvent(session.id, 'progress', getSessionProgress(session));
+            }, 100);
+        });
+        session.progressWatcher.on('error', () => stopProgressWatch(session));
+    } catch (e) {
+        log(`[Events] Cannot watch ${session.dir}: ${e.message}`, 'warn');
+    }
+}
+
+// Index of the newest finished segment of a variant in the current VOD run
+// (-1 if none). ffmpeg appends each segment to enc_<v>.m3u8 once it is complete.
+function getLastSegmentIndex(dir, variant) {
+    try {
+        const content = fs.readFileSync(path.join(dir, `enc_${variant}.m3u8`), 'utf8');
+        const matches = content.match(new RegExp(`stream_${variant}_(\\d+)\\.ts`, 'g'));
+        if (matches) {
+            const last = matches[matches.length - 1];
+            return parseInt(last.split('_').pop());
+        }
+    } catch (e) { }
+    return -1;
+}
+
+function clearSessionDir(dir) {
+    try {
+        const files = fs.readdirSync(dir);
+        for (const file of files) {
+            fs.unlinkSync(path.join(dir, file));
+        }
+    } catch (e) { }
+}
+
+// Drops half-written segments (-hls_flags temp_file) left by a killed encoder
+function removeTempSegments(dir) {
+    try {
+        for (const file of fs.readdirSync(dir)) {
+            if (file.endsWith('.tmp')) fs.unlinkSync(path.join(dir, file));
+        }
+    } catch (e) { }
+}
+
+// First segment at or after `from` that is missing for any variant
+function findFirstMissingSegment(dir, from, segmentCount, variantCount) {
+    let segment = from;
+    while (segment < segmentCount) {
+        for (let v = 0; v < variantCount; v++) {
+            if (!fs.existsSync(path.join(dir, `stream_${v}_${segment}.ts`))) return segment;
+        }
+        segment++;
+    }
+    return segment;
+}
+
+// --- VOD Playlist Builders ---
+// The whole movie is described up front in HLS_SEGMENT_SECONDS slices.
+// Segment files are produced on demand by ffmpeg.
+
+// Where ffmpeg actually cuts: the forced keyframe is the first frame at or
+// after each boundary, so with a known frame rate boundaries round up to a
+// frame, and the last segment ends at the real duration. Every variant
+// (video rungs and audio renditions) is published with this same list.
+function getVodSegmentDurations(duration, frameRate) {
+    const starts = [];
+    for (let i = 0; i * HLS_SEGMENT_SECONDS < duration; i++) {
+        const start = frameRate > 0
+            ? Math.ceil(i * HLS_SEGMENT_SECONDS * frameRate - 1e-6) / frameRate
+            : i * HLS_SEGMENT_SECONDS;
+        if (start >= duration) break;
+        starts.push(start);
+    }
+    return starts.map((start, i) => (i + 1 < starts.length ? starts[i + 1] : duration) - start);
+}
+
+function buildVodMediaPlaylist(segmentDurations, variant) {
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(HLS_SEGMENT_SECONDS, ...segmentDurations))}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD'
+    ];
+    segmentDurations.forEach((segDuration, i) => {
+        lines.push(`#EXTINF:${segDuration.toFixed(6)},`, `stream_${variant}_${i}.ts`);
+    });
+    lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+}
 
-            // 2. Remove Files
+// Mirrors what ffmpeg's -master_pl_name wrote for our var_stream_map:
+// variants 0..k-1 are the video renditions, the rest are the audio
+// renditions in one shared group.
+// videoVariants: [{ bandwidth, width?, height? }], audioVariants: [{ lang, name }]
+function buildVodMasterPlaylist(videoVariants, audioVariants) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    audioVariants.forEach((audio, i) => {
+        lines.push(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="group_audio",NAME="${audio.name}",LANGUAGE="${audio.lang}",DEFAULT=${i === 0 ? 'YES' : 'NO'},AUTOSELECT=YES,URI="stream_${videoVariants.length + i}.m3u8"`);
+    });
+    videoVariants.forEach((video, i) => {
+        let attrs = `BANDWIDTH=${video.bandwidth}`;
+        if (video.width && video.height) attrs += `,RESOLUTION=${video.width}x${video.height}`;
+        if (audioVariants.length > 0) attrs += ',AUDIO="group_audio"';
+        lines.push(`#EXT-X-STREAM-INF:${attrs}`, `stream_${i}.m3u8`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// --- Media Library ---
+// Video files under VIDEO_DIR, rescanned when the directory changes. Each
+// file gets a stable source URL `library:<id>` that goes through /metadata,
+// /start, /subtitle etc. like a remote URL; getInputArgs() maps it back to
+// the file for ffmpeg. Names are parsed into movies ("Title (Year)") and
+// series episodes ("Show S01E02" / "Show 1x02").
+let library = { items: new Map(), dirs: [], scannedAt: 0 }; // id -> item
+let libraryScan = null;
+let libraryWatchers = null; // dir -> FSWatcher, once watchLibrary() has run
+let libraryRescanTimer = null;
+
+function parseMediaName(relPath) {
+    const base = path.basename(relPath, path.extname(relPath));
+    const clean = text => text.replace(/[._]+/g, ' ').replace(/[\s-]+$/, '').replace(/\s+/g, ' ').trim();
+
+    const episode = base.match(/^(.*?)[\s._-]*(?:S(\d{1,2})E(\d{1,3})|(\d{1,2})x(\d{2,3}))/i);
+    if (episode) {
+        // Title may live in the folder name ("Show/Season 1/S01E02.mkv")
+        let title = clean(episode[1]);
+        if (!title) {
+            const parts = path.dirname(relPath).split(path.sep).filter(p => p !== '.' && !/^season\s*\d+$/i.test(p));
+            title = clean(parts[parts.length - 1] || 'Unknown');
+        }
+        return {
+            type: 'episode',
+            title,
+            season: parseInt(episode[2] || episode[4]),
+            episode: parseInt(episode[3] || episode[5])
+        };
+    }
+
+    const movie = base.match(/^(.*?)[\s._(\[-]*((?:19|20)\d{2})(?!\d)/);
+    if (movie && clean(movie[1])) {
+        return { type: 'movie', title: clean(movie[1]), year: parseInt(movie[2]) };
+    }
+    return { type: 'movie', title: clean(base), year: null };
+}
+
+// Collects video files into `files` and every readable directory into `dirs`
+async function walkVideoDir(dir, files = [], dirs = []) {
+    let entries = [];
+    try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+        return files;
+    }
+    dirs.push(dir);
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            await walkVideoDir(fullPath, files, dirs);
+        } else if (entry.isFile() && LIBRARY_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function scanLibrary() {
+    if (libraryScan) return libraryScan;
+    const dirs = [];
+    libraryScan = walkVideoDir(VIDEO_DIR, [], dirs).then(async (files) => {
+        const items = new Map();
+        for (const fullPath of files) {
+            const relPath = path.relative(VIDEO_DIR, fullPath);
+            const id = crypto.createHash('sha1').update(relPath).digest('hex').slice(0, 16);
+            const stats = await fs.promises.stat(fullPath).catch(() => null);
+            if (!stats) continue;
+            const previous = library.items.get(id);
+            items.set(id, {
+                id,
+                url: `library:${id}`,
+                path: relPath,
+                size: stats.size,
+                mtime: stats.mtimeMs,
+                ...parseMediaName(relPath),
+                // Changed file, or the last probe failed: probe again
+                media: previous && previous.mtime === stats.mtimeMs && previous.size === stats.size && previous.media && !previous.media.error
+                    ? previous.media
+                    : null
+            });
+        }
+        library = { items, dirs, scannedAt: Date.now() };
+        if (!dirs.length) log(`[Library] Cannot read ${VIDEO_DIR}, nothing to scan or watch`, 'warn');
+        log(`[Library] Scanned ${VIDEO_DIR}: ${items.size} videos`);
+        syncLibraryWatchers();
+        probeLibrary();
+    }).finally(() => {
+        libraryScan = null;
+    });
+    return libraryScan;
+}
+
+// Probes items one at a time in the background (results land in the probe cache)
+let libraryProbing = false;
+async function probeLibrary() {
+    if (libraryProbing) return;
+    libraryProbing = true;
+    try {
+        for (const item of library.items.values()) {
+            if (item.media) continue;
             try {
-                if (fs.existsSync(session.dir)) {
-                    fs.rmSync(session.dir, { recursive: true, force: true });
-                }
+                const data = JSON.parse(await probeMedia(item.url));
+                const video = data.streams.find(s => s.codec_type === 'video');
+                item.media = {
+                    duration: data.format ? parseFloat(data.format.duration || 0) : 0,
+                    width: video ? video.width : 0,
+                    height: video ? video.height : 0,
+                    videoCodec: video ? video.codec_name : null,
+                    audioLanguages: data.streams.filter(s => s.codec_type === 'audio').map(s => s.tags?.language || 'und'),
+                    subtitleLanguages: data.streams.filter(s => s.codec_type === 'subtitle').map(s => s.tags?.language || 'und')
+                };
             } catch (e) {
-                console.error(`Failed to clean dir for ${sid}`, e);
+                item.media = { error: e.message };
             }
+        }
+    } finally {
+        libraryProbing = false;
+    }
+}
+
+function getLibraryItem(videoUrl) {
+    if (typeof videoUrl !== 'string' || !videoUrl.startsWith('library:')) return null;
+    return library.items.get(videoUrl.slice('library:'.length)) || null;
+}
 
-            // 3. Delete from Map
-            sessions.delete(sid);
+// Movies sorted by title, series grouped by title with episodes in order
+function getLibraryListing() {
+    const movies = [];
+    const seriesByTitle = new Map();
+    for (const item of library.items.values()) {
+        const { path: relPath, ...entry } = item;
+        entry.file = path.basename(relPath);
+        if (item.type === 'episode') {
+            const key = item.title.toLowerCase();
+            if (!seriesByTitle.has(key)) seriesByTitle.set(key, { title: item.title, episodes: [] });
+            seriesByTitle.get(key).episodes.push(entry);
+        } else {
+            movies.push(entry);
         }
     }
-}, 5 * 60 * 1000); // Check every 5 mins
+    const byTitle = (a, b) => a.title.localeCompare(b.title);
+    const series = [...seriesByTitle.values()].sort(byTitle);
+    series.forEach(show => show.episodes.sort((a, b) => a.season - b.season || a.episode - b.episode));
+    return { movies: movies.sort(byTitle), series, scannedAt: library.scannedAt };
+}
+
+// One plain watch per directory: `recursive` throws on Linux before Node 20.
+// Runs after every scan so added and removed directories are followed.
+function syncLibraryWatchers() {
+    if (!libraryWatchers) return;
+    for (const [dir, watcher] of libraryWatchers) {
+        if (library.dirs.includes(dir)) continue;
+        watcher.close();
+        libraryWatchers.delete(dir);
+    }
+    for (const dir of library.dirs) {
+        if (libraryWatchers.has(dir)) continue;
+        try {
+            const watcher = fs.watch(dir, () => {
+                clearTimeout(libraryRescanTimer);
+                libraryRescanTimer = setTimeout(scanLibrary, 2000); // Copies fire many events
+            });
+            watcher.on('error', (e) => {
+                log(`[Library] Watching ${dir} stopped (${e.message}). Relying on periodic rescans.`, 'warn');
+                watcher.close();
+                libraryWatchers.delete(dir);
+            });
+            libraryWatchers.set(dir, watcher);
+        } catch (e) {
+            log(`[Library] Watching ${dir} failed (${e.message}). Relying on periodic rescans.`, 'warn');
+        }
+    }
+}
+
+function watchLibrary() {
+    libraryWatchers = new Map();
+    syncLibraryWatchers();
+    setInterval(scanLibrary, LIBRARY_RESCAN_INTERVAL_MS);
+}
+
+// --- Next Episode ---
+// Library items: the next episode of the same series in the index.
+// Remote URLs: every "SxxEyy" token is rewritten to the next episode, then to
+// the first episode of the next season, and the first candidate that exists
+// (checked with a 1-byte ranged GET, same URL policy as everything else) wins.
+function findNextLibraryEpisode(item) {
+    const episodes = [...library.items.values()]
+        .filter(e => e.type === 'episode' && e.title.toLowerCase() === item.title.toLowerCase())
+        .sort((a, b) => a.season - b.season || a.episode - b.episode);
+    return episodes.find(e => e.season > item.season || (e.season === item.season && e.episode > item.episode)) || null;
+}
+
+function getNextEpisodeCandidates(videoUrl) {
+    const match = videoUrl.match(/S(\d{1,2})E(\d{1,3})/i);
+    if (!match) return [];
+    const [token, season, episode] = match;
+    const pad = (n, width) => String(n).padStart(width, '0');
+    const s = token[0], e = token[token.search(/e/i)]; // Keep the original letter case
+    const nextEpisode = `${s}${pad(parseInt(season), season.length)}${e}${pad(parseInt(episode) + 1, episode.length)}`;
+    const nextSeason = `${s}${pad(parseInt(season) + 1, season.length)}${e}${pad(1, episode.length)}`;
+    return [nextEpisode, nextSeason].map(next => videoUrl.split(token).join(next));
+}
+
+function remoteUrlExists(candidateUrl) {
+    return validateMediaUrl(candidateUrl).then(() => new Promise((resolve) => {
+        const lib = candidateUrl.startsWith('https') ? https : http;
+        const options = url.parse(candidateUrl);
+        options.headers = { Range: 'bytes=0-0' };
+        options.lookup = publicOnlyLookup;
+        options.timeout = 5000;
+        const request = lib.get(options, (response) => {
+            response.resume();
+            resolve(response.statusCode === 200 || response.statusCode === 206);
+        });
+        request.on('timeout', () => request.destroy());
+        request.on('error', () => resolve(false));
+    }), () => false);
+}
+
+async function findNextEpisode(videoUrl) {
+    const item = getLibraryItem(videoUrl);
+    if (item) {
+        if (item.type !== 'episode') return null;
+        const next = findNextLibraryEpisode(item);
+        return next ? next.url : null;
+    }
+    for (const candidate of getNextEpisodeCandidates(videoUrl)) {
+        if (await remoteUrlExists(candidate)) return candidate;
+    }
+    return null;
+}
+
+// ffmpeg/ffprobe input arguments for a source: library files may only be
+// read from disk, remote URLs only over the network protocols
+function getInputArgs(videoUrl) {
+    const item = getLibraryItem(videoUrl);
+    if (item) return ['-protocol_whitelist', 'file', '-i', path.join(VIDEO_DIR, item.path)];
+    return ['-protocol_whitelist', FFMPEG_PROTOCOL_WHITELIST, '-i', videoUrl];
+}
+
+// What derived data (probe, subtitles, thumbnails) is cached under: the URL,
+// plus mtime and size for library files so a replaced file is processed again
+function getSourceCacheKey(videoUrl) {
+    const item = getLibraryItem(videoUrl);
+    return item ? `${videoUrl}@${item.mtime}-${item.size}` : videoUrl;
+}
+
+// --- Probe Service ---
+// One ffprobe per URL: results are cached in memory and on disk (keyed by
+// getSourceCacheKey(), expiring after PROBE_CACHE_TTL_MS), concurrent callers
+// share the running probe, and a probe exceeding PROBE_TIMEOUT_MS is killed.
+// Resolves to ffprobe's raw JSON output. Failures are not cached.
+const probeCache = new Map(); // cache key -> { output, probedAt }
+const probesInFlight = new Map(); // cache key -> Promise
+
+function getProbeCachePath(cacheKey) {
+    const key = crypto.createHash('sha1').update(cacheKey).digest('hex');
+    return path.join(PROBE_CACHE_DIR, `${key}.json`);
+}
+
+function readCachedProbe(cacheKey) {
+    let entry = probeCache.get(cacheKey);
+    if (!entry) {
+        try {
+            entry = JSON.parse(fs.readFileSync(getProbeCachePath(cacheKey), 'utf8'));
+            probeCache.set(cacheKey, entry);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (Date.now() - entry.probedAt > PROBE_CACHE_TTL_MS) {
+        probeCache.delete(cacheKey);
+        fs.rm(getProbeCachePath(cacheKey), { force: true }, () => { });
+        return null;
+    }
+    return entry.output;
+}
+
+function probeMedia(videoUrl) {
+    const cacheKey = getSourceCacheKey(videoUrl);
+    const cached = readCachedProbe(cacheKey);
+    if (cached) return Promise.resolve(cached);
+    if (probesInFlight.has(cacheKey)) return probesInFlight.get(cacheKey);
+
+    const probe = new Promise((resolve, reject) => {
+        const startedAt = Date.now();
+        const ffprobe = spawn('ffprobe', ['-v', 'quiet', '-print_format', 'json', '-show_streams', '-show_format', ...getInputArgs(videoUrl)]);
+        let output = '';
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            log(`[Probe] Timed out after ${PROBE_TIMEOUT_MS}ms, killing ffprobe: ${videoUrl}`);
+            ffprobe.kill('SIGKILL');
+        }, PROBE_TIMEOUT_MS);
+
+        ffprobe.stdout.on('data', (data) => output += data);
+        ffprobe.stderr.on('data', (data) => log(`[ffprobe] ${data.toString().trim()}`));
+        ffprobe.on('error', (e) => {
+            clearTimeout(timer);
+            reject(e);
+        });
+        ffprobe.on('close', (code) => {
+            clearTimeout(timer);
+            observeHistogram(metrics.probeLatency[code === 0 && !timedOut ? 'ok' : 'error'], (Date.now() - startedAt) / 1000);
+            if (timedOut) return reject(new Error('Probe timed out'));
+            if (code !== 0) return reject(new Error(`ffprobe exited with code ${code}`));
+            try {
+                JSON.parse(output);
+            } catch (e) {
+                return reject(new Error('Invalid ffprobe output'));
+            }
+
+            log(`[Probe] ${videoUrl} probed in ${Date.now() - startedAt}ms`);
+            const entry = { url: videoUrl, output, probedAt: Date.now() };
+            probeCache.set(cacheKey, entry);
+            fs.mkdir(PROBE_CACHE_DIR, { recursive: true }, () => {
+                fs.writeFile(getProbeCachePath(cacheKey), JSON.stringify(entry), () => { });
+            });
+            resolve(output);
+        });
+    });
+
+    probesInFlight.set(cacheKey, probe);
+    const done = () => probesInFlight.delete(cacheKey);
+    probe.then(done, done);
+    return probe;
+}
+
+// --- Subtitle Cache ---
+// Each (source URL, stream index, format) is extracted once with ffmpeg and
+// kept on disk; later requests are served from the file. Concurrent requests
+// for the same track share one extraction.
+const SUBTITLE_FORMATS = {
+    webvtt: { codec: 'webvtt', ext: 'vtt', contentType: 'text/vtt' },
+    // ASS keeps positioning/styling for the client-side ASS renderer
+    ass: { codec: 'ass', ext: 'ass', contentType: 'text/x-ssa; charset=utf-8' }
+};
+const subtitleExtractions = new Map(); // cache file -> Promise
+
+function getSubtitleCachePath(videoUrl, subIndex, format) {
+    const key = crypto.createHash('sha1').update(`${getSourceCacheKey(videoUrl)}\n${subIndex}\n${format}`).digest('hex');
+    return path.join(SUBTITLE_CACHE_DIR, `${key}.${SUBTITLE_FORMATS[format].ext}`);
+}
+
+function extractSubtitle(videoUrl, subIndex, format) {
+    const cachePath = getSubtitleCachePath(videoUrl, subIndex, format);
+    if (fs.existsSync(cachePath)) return Promise.resolve(cachePath);
+    if (subtitleExtractions.has(cachePath)) return subtitleExtractions.get(cachePath);
+
+    const extraction = new Promise((resolve, reject) => {
+        // Write to .tmp and rename so a half-written file is never served
+        const tmpPath = `${cachePath}.tmp`;
+        fs.mkdirSync(SUBTITLE_CACHE_DIR, { recursive: true });
+        log(`[Subtitle] Extracting track ${subIndex} (${format}) from ${videoUrl}`);
+
+        const ffmpegSub = spawn('ffmpeg', [
+            '-y',
+            ...getInputArgs(videoUrl),
+            '-map', `0:${subIndex}`,
+            '-c:s', SUBTITLE_FORMATS[format].codec,
+            '-f', format,
+            tmpPath
+        ]);
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            log(`[Subtitle] Extraction timed out after ${SUBTITLE_EXTRACT_TIMEOUT_MS}ms, killing ffmpeg: ${videoUrl}`, 'warn');
+            ffmpegSub.kill('SIGKILL');
+        }, SUBTITLE_EXTRACT_TIMEOUT_MS);
+
+        ffmpegSub.on('error', (e) => {
+            clearTimeout(timer);
+            reject(e);
+        });
+        ffmpegSub.on('close', (code) => {
+            clearTimeout(timer);
+            if (code !== 0 || timedOut) {
+                fs.rm(tmpPath, { force: true }, () => { });
+                return reject(new Error(timedOut ? 'Subtitle extraction timed out' : `ffmpeg exited with code ${code}`));
+            }
+            try {
+                fs.renameSync(tmpPath, cachePath);
+            } catch (e) {
+                // e.g. the cache directory was removed while ffmpeg ran
+                return reject(e);
+            }
+            resolve(cachePath);
+        });
+    });
+
+    subtitleExtractions.set(cachePath, extraction);
+    const done = () => subtitleExtractions.delete(cachePath);
+    extraction.then(done, done);
+    return extraction;
+}
+
+// --- Trickplay Thumbnails ---
+// Keyframe-only decode (-skip_frame nokey) sampled every `interval` seconds
+// and tiled into JPEG sprite sheets, plus a WebVTT index whose cues point at
+// /thumbnails/<key>/sprite_N.jpg#xywh=x,y,w,h. Generated once per URL.
+// The ffmpeg runs are queued: THUMBNAIL_MAX_JOBS at a time, and only while
+// a transcode slot is free, so previews never compete with playback.
+const thumbnailJobs = new Map(); // key -> Promise
+const thumbnailFailures = new Map(); // key -> failedAt, retried after THUMBNAIL_RETRY_MS
+const thumbnailQueue = []; // { run, resolve, reject } waiting for a slot
+let thumbnailsRunning = 0;
+let thumbnailDrainTimer = null;
+
+function hasRecentThumbnailFailure(key) {
+    const failedAt = thumbnailFailures.get(key);
+    if (failedAt === undefined) return false;
+    if (Date.now() - failedAt < THUMBNAIL_RETRY_MS) return true;
+    thumbnailFailures.delete(key);
+    return false;
+}
+
+// run: () => Promise; settles like run() once it got a slot
+function queueThumbnailJob(run) {
+    return new Promise((resolve, reject) => {
+        if (thumbnailQueue.length >= THUMBNAIL_QUEUE_MAX) {
+            const error = new Error('Thumbnail queue full');
+            error.busy = true;
+            return reject(error);
+        }
+        thumbnailQueue.push({ run, resolve, reject });
+        drainThumbnailQueue();
+    });
+}
+
+function drainThumbnailQueue() {
+    while (thumbnailQueue.length > 0 && thumbnailsRunning < THUMBNAIL_MAX_JOBS) {
+        if (countRunningTranscodes() >= MAX_CONCURRENT_TRANSCODES) {
+            // All slots busy with playback: look again later
+            if (!thumbnailDrainTimer) {
+                thumbnailDrainTimer = setTimeout(() => {
+                    thumbnailDrainTimer = null;
+                    drainThumbnailQueue();
+                }, QUEUE_RETRY_SECONDS * 1000);
+            }
+            return;
+        }
+        const { run, resolve, reject } = thumbnailQueue.shift();
+        thumbnailsRunning++;
+        run().then(resolve, reject).finally(() => {
+            thumbnailsRunning--;
+            drainThumbnailQueue();
+        });
+    }
+}
 
-// --- Logging Helper ---
-const logFile = path.join(__dirname, 'server.log');
-function log(msg) {
-    const timestamp = new Date().toISOString();
-    const logMsg = `[${timestamp}] ${msg}`;
-    console.log(logMsg);
+function getThumbnailKey(videoUrl) {
+    return crypto.createHash('sha1').update(getSourceCacheKey(videoUrl)).digest('hex');
+}
+
+function formatVttTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const s = Math.floor(ms / 1000) % 60;
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms % 1000, 3)}`;
+}
+
+function buildThumbnailVtt(key, duration, interval, width, height) {
+    const perSheet = THUMBNAIL_COLUMNS * THUMBNAIL_ROWS;
+    const lines = ['WEBVTT', ''];
+    for (let i = 0; i * interval < duration; i++) {
+        const sheet = Math.floor(i / perSheet) + 1;
+        const pos = i % perSheet;
+        const x = (pos % THUMBNAIL_COLUMNS) * width;
+        const y = Math.floor(pos / THUMBNAIL_COLUMNS) * height;
+        lines.push(
+            `${formatVttTime(i * interval)} --> ${formatVttTime(Math.min((i + 1) * interval, duration))}`,
+            `/thumbnails/${key}/sprite_${sheet}.jpg#xywh=${x},${y},${width},${height}`,
+            ''
+        );
+    }
+    return lines.join('\n');
+}
+
+// Resolves to the path of the finished thumbnails.vtt
+function generateThumbnails(videoUrl) {
+    const key = getThumbnailKey(videoUrl);
+    const dir = path.join(THUMBNAIL_DIR, key);
+    const indexPath = path.join(dir, 'thumbnails.vtt');
+    if (fs.existsSync(indexPath)) return Promise.resolve(indexPath);
+    if (thumbnailJobs.has(key)) return thumbnailJobs.get(key);
+
+    const job = probeMedia(videoUrl).then((output) => {
+        const data = JSON.parse(output);
+        const duration = data.format ? parseFloat(data.format.duration || 0) : 0;
+        const video = data.streams.find(s => s.codec_type === 'video');
+        if (!(duration > 0) || !video || !video.width || !video.height) {
+            throw new Error('No video stream or unknown duration');
+        }
+
+        const interval = Math.max(THUMBNAIL_MIN_INTERVAL, Math.ceil(duration / THUMBNAIL_MAX_COUNT));
+        const height = Math.round(THUMBNAIL_WIDTH * video.height / video.width / 2) * 2;
+
+        return queueThumbnailJob(() => new Promise((resolve, reject) => {
+            // Build in a temp dir and rename, so a half-finished set is never served
+            const tmpDir = `${dir}.tmp`;
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+            fs.mkdirSync(tmpDir, { recursive: true });
+            log(`[Thumbnails] Generating every ${interval}s (${THUMBNAIL_WIDTH}x${height}) for ${videoUrl}`);
+
+            const ffmpegThumbs = spawn('ffmpeg', [
+                '-y',
+                '-skip_frame', 'nokey',
+                ...getInputArgs(videoUrl),
+                '-map', '0:v:0',
+                '-vf', `fps=1/${interval},scale=${THUMBNAIL_WIDTH}:${height},tile=${THUMBNAIL_COLUMNS}x${THUMBNAIL_ROWS}`,
+                '-q:v', '5',
+                path.join(tmpDir, 'sprite_%d.jpg')
+            ]);
+            ffmpegThumbs.on('error', reject);
+            ffmpegThumbs.on('close', (code) => {
+                if (code !== 0) {
+                    fs.rm(tmpDir, { recursive: true, force: true }, () => { });
+                    return reject(new Error(`ffmpeg exited with code ${code}`));
+                }
+                try {
+                    fs.writeFileSync(path.join(tmpDir, 'thumbnails.vtt'), buildThumbnailVtt(key, duration, interval, THUMBNAIL_WIDTH, height));
+                    fs.rmSync(dir, { recursive: true, force: true });
+                    fs.renameSync(tmpDir, dir);
+                } catch (e) {
+                    return reject(e);
+                }
+                log(`[Thumbnails] Done: ${videoUrl}`);
+                resolve(indexPath);
+            });
+        }));
+    });
+
+    thumbnailJobs.set(key, job);
+    const done = () => thumbnailJobs.delete(key);
+    job.then(done, (e) => {
+        if (e.busy) return done(); // Not the source's fault, the client asks again
+        log(`[Thumbnails] Failed for ${videoUrl}: ${e.message}`, 'warn');
+        thumbnailFailures.set(key, Date.now());
+        done();
+    });
+    return job;
+}
+
+// --- External (Sidecar) Subtitles ---
+// Added by URL or upload, converted to WebVTT once (ASS/SSA also kept as ASS
+// for the styled renderer) and remembered per video URL in index.json.
+// Listed by /metadata as index "ext-<id>" next to the embedded tracks.
+const EXTERNAL_SUBTITLE_EXTS = {
+    '.srt': 'subrip',
+    '.vtt': 'webvtt',
+    '.ass': 'ass',
+    '.ssa': 'ssa'
+};
+
+function getExternalSubtitleDir(videoUrl) {
+    const key = crypto.createHash('sha1').update(videoUrl).digest('hex');
+    return path.join(EXTERNAL_SUBTITLE_DIR, key);
+}
+
+function listExternalSubtitles(videoUrl) {
     try {
-        fs.appendFileSync(logFile, logMsg + '\n');
+        return JSON.parse(fs.readFileSync(path.join(getExternalSubtitleDir(videoUrl), 'index.json'), 'utf8'));
     } catch (e) {
-        console.error("Failed to write to log file:", e);
+        return [];
     }
 }
 
-const server = http.createServer((req, res) => {
-    // Enable CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
+// Resolves the served file for an external track, or null if unknown
+function getExternalSubtitlePath(videoUrl, id, format) {
+    if (!/^[a-z0-9]+$/.test(id)) return null;
+    const file = path.join(getExternalSubtitleDir(videoUrl), `${id}.${SUBTITLE_FORMATS[format].ext}`);
+    return fs.existsSync(file) ? file : null;
+}
+
+function runFfmpegConvert(args) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn('ffmpeg', ['-y', ...args]);
+        proc.on('error', reject);
+        proc.on('close', code => code === 0 ? resolve() : reject(new Error(`ffmpeg exited with code ${code}`)));
+    });
+}
+
+// input: local file path (upload) or remote URL; name: original file name
+async function addExternalSubtitle(videoUrl, input, name) {
+    const codec = EXTERNAL_SUBTITLE_EXTS[path.extname(name).toLowerCase()];
+    if (!codec) throw new Error('Unsupported subtitle type');
+
+    const dir = getExternalSubtitleDir(videoUrl);
+    fs.mkdirSync(dir, { recursive: true });
+    const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+    // Uploads are local temp files; anything else is a (validated) remote URL
+    const inputArgs = ['-protocol_whitelist', fs.existsSync(input) ? 'file' : FFMPEG_PROTOCOL_WHITELIST, '-i', input];
+    await runFfmpegConvert([...inputArgs, '-c:s', 'webvtt', '-f', 'webvtt', path.join(dir, `${id}.vtt`)]);
+    if (codec === 'ass' || codec === 'ssa') {
+        await runFfmpegConvert([...inputArgs, '-c:s', 'ass', '-f', 'ass', path.join(dir, `${id}.ass`)]);
+    }
+
+    // The name is client-supplied: keep it a short plain-text label
+    const title = path.basename(name).replace(/[\x00-\x1f\x7f<>"'&]+/g, '').trim().slice(0, 100) || 'External';
+
+    const entry = {
+        index: `ext-${id}`,
+        lang: 'und',
+        title,
+        codec,
+        image: false,
+        external: true
+    };
+    const list = listExternalSubtitles(videoUrl);
+    list.push(entry);
+    fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify(list, null, 2));
+    return entry;
+}
+
+// Moves every cue `offset` seconds earlier so a cached (movie timeline) track
+// lines up with a seek-restarted stream. Cues that end before 0 are dropped.
+function shiftSubtitleTimestamps(text, format, offset) {
+    const toSeconds = (ts) => ts.split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+    const pad = (n, width) => String(n).padStart(width, '0');
+
+    if (format === 'ass') {
+        // Dialogue: Layer,H:MM:SS.cc,H:MM:SS.cc,...
+        const formatAss = (sec) => {
+            const cs = Math.round(sec * 100);
+            return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60, 2)}:${pad(Math.floor(cs / 100) % 60, 2)}.${pad(cs % 100, 2)}`;
+        };
+        return text.split('\n').filter(line => {
+            const m = line.match(/^Dialogue:\s*[^,]*,([^,]+),([^,]+),/);
+            return !m || toSeconds(m[2]) - offset > 0;
+        }).map(line => line.replace(/^(Dialogue:\s*[^,]*,)([^,]+),([^,]+),/, (all, head, start, end) =>
+            `${head}${formatAss(Math.max(0, toSeconds(start) - offset))},${formatAss(toSeconds(end) - offset)},`
+        )).join('\n');
+    }
+
+    // WebVTT: cue blocks are separated by blank lines, timing line has "-->"
+    const formatVtt = (sec) => {
+        const ms = Math.round(sec * 1000);
+        return `${pad(Math.floor(ms / 3600000), 2)}:${pad(Math.floor(ms / 60000) % 60, 2)}:${pad(Math.floor(ms / 1000) % 60, 2)}.${pad(ms % 1000, 3)}`;
+    };
+    return text.split(/\r?\n\r?\n/).filter(block => {
+        const m = block.match(/([\d:.]+)\s+-->\s+([\d:.]+)/);
+        return !m || toSeconds(m[2]) - offset > 0;
+    }).map(block => block.replace(/([\d:.]+)(\s+-->\s+)([\d:.]+)/, (all, start, arrow, end) =>
+        `${formatVtt(Math.max(0, toSeconds(start) - offset))}${arrow}${formatVtt(toSeconds(end) - offset)}`
+    )).join('\n\n');
+}
+
+// --- URL Validation ---
+// Every user-supplied media URL (query `url`, and `src` of /external-subtitle)
+// is checked before it reaches ffmpeg, ffprobe or the proxy: http(s) only
+// (or a known `library:` item),
+// host allow/deny lists, and every address the name resolves to must be
+// public. ffmpeg additionally gets -protocol_whitelist so file:, concat:,
+// pipe: etc. are refused even inside playlists, and the /direct-stream proxy
+// re-checks the address it actually connects to (no DNS rebinding there).
+// ffmpeg resolves names itself and follows HTTP redirects, so for it this is
+// a strong filter rather than a hard guarantee.
+const MEDIA_URL_ROUTES = ['/metadata', '/start', '/subtitle', '/thumbnails', '/direct-stream', '/external-subtitle', '/next-episode'];
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b, c] = address.split('.').map(n => parseInt(n));
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||  // Carrier-grade NAT
+            (a === 169 && b === 254) ||            // Link-local (cloud metadata)
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 192 && b === 0 && c === 0) ||
+            (a === 198 && (b === 18 || b === 19));
+    }
+    const hextets = expandIPv6(address);
+    if (!hextets) return true; // Not an address we understand: refuse
+    const embeddedIPv4 = () => `${hextets[6] >> 8}.${hextets[6] & 0xff}.${hextets[7] >> 8}.${hextets[7] & 0xff}`;
+    const prefixIs = (...values) => values.every((v, i) => hextets[i] === v);
+
+    if (prefixIs(0, 0, 0, 0, 0, 0xffff)) return isPrivateAddress(embeddedIPv4());      // IPv4-mapped ::ffff:0:0/96
+    if (prefixIs(0x64, 0xff9b, 0, 0, 0, 0)) return isPrivateAddress(embeddedIPv4());   // NAT64 64:ff9b::/96
+    if (prefixIs(0, 0, 0, 0, 0, 0)) return true;                                        // ::, ::1 and IPv4-compatible
+    return (hextets[0] & 0xfe00) === 0xfc00 ||  // Unique local fc00::/7
+        (hextets[0] & 0xffc0) === 0xfe80 ||     // Link-local fe80::/10
+        (hextets[0] & 0xff00) === 0xff00;       // Multicast
+}
+
+// IPv6 text (any notation, incl. a trailing dotted IPv4 part) -> 8 numbers, or null
+function expandIPv6(address) {
+    let ip = address.toLowerCase().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+    const dotted = ip.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        if (!net.isIPv4(dotted[2])) return null;
+        const [a, b, c, d] = dotted[2].split('.').map(n => parseInt(n));
+        ip = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const halves = ip.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+    const parts = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (!parts.every(p => /^[0-9a-f]{1,4}$/.test(p))) return null;
+    return parts.map(p => parseInt(p, 16));
+}
+
+function hostMatches(hostname, list) {
+    return list.some(entry => hostname === entry || hostname.endsWith(`.${entry.replace(/^\./, '')}`));
+}
+
+// Resolves if the URL may be fetched, rejects with a user-facing reason otherwise
+async function validateMediaUrl(rawUrl) {
+    if (typeof rawUrl !== 'string') throw new Error('Invalid URL'); // e.g. ?url= given twice
+    if (rawUrl.startsWith('library:')) {
+        if (!getLibraryItem(rawUrl)) throw new Error('Unknown library item');
+        return;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(rawUrl);
+    } catch (e) {
+        throw new Error('Invalid URL');
+    }
+    if (!ALLOWED_URL_PROTOCOLS.includes(parsed.protocol)) throw new Error(`Protocol ${parsed.protocol} not allowed`);
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (URL_HOST_DENYLIST.length > 0 && hostMatches(hostname, URL_HOST_DENYLIST)) throw new Error('Host not allowed');
+    if (URL_HOST_ALLOWLIST.length > 0 && !hostMatches(hostname, URL_HOST_ALLOWLIST)) throw new Error('Host not allowed');
+    if (ALLOW_PRIVATE_URLS) return;
+
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true }).catch(() => {
+            throw new Error('Host not found');
+        });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) throw new Error('Private network addresses are not allowed');
+}
+
+// dns.lookup replacement for outgoing proxy requests: refuses private targets
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+        if (!ALLOW_PRIVATE_URLS && addresses.some(isPrivateAddress)) {
+            return callback(new Error(`Refusing to connect to private address for ${hostname}`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// --- Access Control ---
+// Browsers log in once (POST /login) and get a signed cookie; scripts send
+// `Authorization: Bearer <API token>`. HLS and subtitle URLs handed out by
+// /start and /metadata carry their own short-lived signature, so players that
+// do not send cookies (TVs, <track>) still work:
+//   /s/<exp>/<sig>/hls/<sessionId>/...   (relative playlist URIs keep the prefix)
+//   /subtitle?...&exp=<exp>&sig=<sig>    (scoped to the video URL)
+// The HMAC key comes from AUTH_SECRET or is generated once into the cache.
+function loadAuthSecret() {
+    if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+    const secretFile = path.join(CACHE_DIR, 'auth.secret');
+    try {
+        return fs.readFileSync(secretFile, 'utf8');
+    } catch (e) {
+        const secret = crypto.randomBytes(32).toString('hex');
+        fs.mkdirSync(CACHE_DIR, { recursive: true });
+        fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+        return secret;
+    }
+}
+const AUTH_SECRET = AUTH_ENABLED ? loadAuthSecret() : '';
+
+function signValue(value) {
+    return crypto.createHmac('sha256', AUTH_SECRET).update(value).digest('hex').slice(0, 32);
+}
+
+// Signed links must never reach the log (see REDACT_SIGNED_PATH_PATTERN)
+const redactionProbe = `/s/${Date.now()}/${signValue('redaction-check')}/hls/x/main.m3u8`;
+assert(!redact(`GET ${redactionProbe}`).includes(signValue('redaction-check')), 'Signed URL signatures are not redacted from logs');
+
+// Constant-time comparison for secrets of any length
+function safeEqual(a, b) {
+    const hash = v => crypto.createHash('sha256').update(String(v)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function createSignature(scope, ttlSeconds) {
+    const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return { exp, sig: signValue(`${scope}:${exp}`) };
+}
+
+function verifySignature(scope, exp, sig) {
+    return parseInt(exp) * 1000 > Date.now() && safeEqual(signValue(`${scope}:${exp}`), sig || '');
+}
+
+// Base URL (with trailing slash) of a session's HLS directory
+function getHlsBase(sessionId) {
+    if (!AUTH_ENABLED) return `/${HLS_DIR_NAME}/${sessionId}/`;
+    const { exp, sig } = createSignature(`hls/${sessionId}`, SIGNED_URL_TTL_SECONDS);
+    return `/s/${exp}/${sig}/${HLS_DIR_NAME}/${sessionId}/`;
+}
+
+// Query string fragment authorizing /subtitle requests for one video URL
+function getSubtitleAuth(videoUrl) {
+    if (!AUTH_ENABLED) return '';
+    const { exp, sig } = createSignature(`subtitle:${videoUrl}`, SIGNED_URL_TTL_SECONDS);
+    return `exp=${exp}&sig=${sig}`;
+}
+
+function isValidCredential(secret) {
+    if (!secret) return false;
+    return (!!AUTH_PASSWORD && safeEqual(secret, AUTH_PASSWORD)) || API_TOKENS.some(token => safeEqual(secret, token));
+}
+
+function isAuthenticated(req) {
+    if (!AUTH_ENABLED) return true;
+
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (bearer && API_TOKENS.some(token => safeEqual(bearer[1], token))) return true;
+
+    const cookie = (req.headers.cookie || '').split(';')
+        .map(c => c.trim().split('='))
+        .find(([name]) => name === 'auth');
+    if (!cookie || !cookie[1]) return false;
+    const [exp, sig] = cookie[1].split('.');
+    return verifySignature('login', exp, sig);
+}
+
+function createLoginCookie(req) {
+    const { exp, sig } = createSignature('login', AUTH_COOKIE_MAX_AGE_SECONDS);
+    const secure = req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+    return `auth=${exp}.${sig}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${AUTH_COOKIE_MAX_AGE_SECONDS}${secure}`;
+}
+
+// `*` (default) keeps the open behaviour; otherwise only listed origins get CORS headers
+function applyCors(req, res) {
+    if (CORS_ORIGINS.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+        res.setHeader('Vary', 'Origin');
+        if (req.headers.origin && CORS_ORIGINS.includes(req.headers.origin)) {
+            res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+            res.setHeader('Access-Control-Allow-Credentials', 'true');
+        }
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+// --- Metrics ---
+// Prometheus text format at /metrics (behind the normal auth; scrape with an
+// API token). Counters are kept here, gauges are computed on each scrape.
+const PROBE_LATENCY_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 30, 60]; // Seconds
+const metrics = {
+    fallbacks: { exit: 0, timeout: 0 }, // AUDIO_ONLY -> FULL_TRANSCODE retries by cause
+    directStreams: 0,                   // /direct-stream proxies currently open
+    directStreamBytes: 0,
+    probeLatency: { ok: createHistogram(), error: createHistogram() }
+};
+
+function createHistogram() {
+    return { buckets: PROBE_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+}
+
+function observeHistogram(histogram, value) {
+    PROBE_LATENCY_BUCKETS.forEach((le, i) => {
+        if (value <= le) histogram.buckets[i]++;
+    });
+    histogram.sum += value;
+    histogram.count++;
+}
+
+function getHlsDiskUsage() {
+    try {
+        return fs.readdirSync(hlsBaseDir).reduce((sum, dir) => sum + getDirSize(path.join(hlsBaseDir, dir)), 0);
+    } catch (e) {
+        return 0;
+    }
+}
+
+function renderMetrics() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP directplayer_${name} ${help}`, `# TYPE directplayer_${name} ${type}`);
+        samples.forEach(([labels, value]) => lines.push(`directplayer_${name}${labels} ${value}`));
+    };
+
+    const sessionList = [...sessions.values()];
+    metric('sessions', 'gauge', 'Sessions known to the server.', [['', sessionList.length]]);
+    metric('sessions_active', 'gauge', 'Sessions with a heartbeat in the last few seconds.',
+        [['', sessionList.filter(s => isActivelyWatching(s.id)).length]]);
+    metric('ffmpeg_processes', 'gauge', 'Running ffmpeg encoders by streaming mode.',
+        Object.values(MODE).map(mode => [`{mode="${mode}"}`, sessionList.filter(s => s.process && s.mode === mode).length]));
+    metric('transcode_queue', 'gauge', 'Sessions waiting for a transcode slot.', [['', transcodeQueue.size]]);
+    metric('fallbacks_total', 'counter', 'AUDIO_PROCESS_ONLY encodes retried as FULL_TRANSCODE.',
+        Object.entries(metrics.fallbacks).map(([reason, count]) => [`{reason="${reason}"}`, count]));
+    metric('direct_streams', 'gauge', 'Open /direct-stream proxies.', [['', metrics.directStreams]]);
+    metric('direct_stream_bytes_total', 'counter', 'Bytes proxied by /direct-stream.', [['', metrics.directStreamBytes]]);
+    metric('hls_disk_bytes', 'gauge', 'Disk used by HLS session directories.', [['', getHlsDiskUsage()]]);
+
+    const probeSamples = [];
+    for (const [result, histogram] of Object.entries(metrics.probeLatency)) {
+        PROBE_LATENCY_BUCKETS.forEach((le, i) => probeSamples.push([`_bucket{result="${result}",le="${le}"}`, histogram.buckets[i]]));
+        probeSamples.push(
+            [`_bucket{result="${result}",le="+Inf"}`, histogram.count],
+            [`_sum{result="${result}"}`, histogram.sum.toFixed(3)],
+            [`_count{result="${result}"}`, histogram.count]
+        );
+    }
+    metric('probe_duration_seconds', 'histogram', 'ffprobe run time (cache hits excluded).', probeSamples);
+
+    return lines.join('\n') + '\n';
+}
+
+// --- Admin ---
+// /admin.html lists the sessions and can kill encoders, delete HLS
+// directories and tail the log. With auth configured it needs a login like
+// everything else; without, the admin API only answers on loopback.
+const CLOCK_TICKS_PER_SECOND = 100; // USER_HZ, /proc/<pid>/stat counts in these
+const ADMIN_LOG_TAIL_BYTES = 256 * 1024;
+
+function isAdminRequest(req) {
+    if (AUTH_ENABLED) return isAuthenticated(req);
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+// CPU used by the encoder since the previous sample (1 = one full core).
+// Linux only; null on the first sample or without /proc.
+function sampleProcessCpu(session) {
+    if (!session.process) return null;
+    const pid = session.process.pid;
+    try {
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        // After "pid (comm) " come state, ppid, ...; utime and stime are fields 14 and 15
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const ticks = parseInt(fields[11]) + parseInt(fields[12]);
+        const previous = session.cpuSample;
+        session.cpuSample = { pid, ticks, time: Date.now() };
+        if (!previous || previous.pid !== pid || session.cpuSample.time === previous.time) return null;
+        return ((ticks - previous.ticks) / CLOCK_TICKS_PER_SECOND) / ((session.cpuSample.time - previous.time) / 1000);
+    } catch (e) {
+        return null;
+    }
+}
+
+function getDirSize(dir) {
+    let total = 0;
+    try {
+        for (const file of fs.readdirSync(dir)) {
+            try {
+                total += fs.statSync(path.join(dir, file)).size;
+            } catch (e) { } // Deleted by ffmpeg meanwhile
+        }
+    } catch (e) { }
+    return total;
+}
+
+function tailLogFile(lines) {
+    try {
+        const size = fs.statSync(logFile).size;
+        const length = Math.min(size, ADMIN_LOG_TAIL_BYTES);
+        const buffer = Buffer.alloc(length);
+        const fd = fs.openSync(logFile, 'r');
+        fs.readSync(fd, buffer, 0, length, size - length);
+        fs.closeSync(fd);
+        return buffer.toString('utf8').split('\n').filter(Boolean).slice(-lines);
+    } catch (e) {
+        return [];
+    }
+}
+
+function getAdminSessionInfo(session) {
+    return {
+        id: session.id,
+        url: session.url,
+        mode: session.mode,
+        device: session.device,
+        pid: session.process ? session.process.pid : null,
+        cpu: sampleProcessCpu(session),
+        encode: getEncodeStatus(session),
+        diskBytes: getDirSize(session.dir),
+        lastPing: session.lastPing,
+        interrupted: session.interrupted,
+        queued: transcodeQueue.has(session.id),
+        connected: sessionStreams.has(session.id)
+    };
+}
+
+// --- Server-Sent Events ---
+// Push channel without dependencies: the response stays open and events are
+// written as `event:`/`data:` blocks. A comment line keeps proxies from
+// closing an idle stream.
+function openEventStream(req, res, onClose) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        onClose();
+    });
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// --- Watch-Together Rooms ---
+// The host's player posts its state (source, paused, position, audio track)
+// on every change and every few seconds; the server stamps it and pushes it
+// to all participants, who follow and correct their drift. If the host
+// leaves, the longest-joined participant takes over. Rooms live in memory.
+// Session IDs never leave the server: participants are shown by an opaque
+// member ID, and state updates need the host key, which only the host gets
+// (from /room/create, or privately as a `host` event on handover).
+const rooms = new Map(); // roomId -> { id, host, hostKey, state, participants: Map(sessionId -> { memberId, name, res, joinedAt }) }
+
+function createRoomId() {
+    let id;
+    do {
+        id = crypto.randomBytes(4).toString('hex').slice(0, 6).toUpperCase();
+    } while (rooms.has(id));
+    return id;
+}
+
+function broadcastRoom(room, event, data, exceptSessionId = null) {
+    for (const [sid, participant] of room.participants) {
+        if (sid !== exceptSessionId) sendEvent(participant.res, event, data);
+    }
+}
+
+function createRoomSecret() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function getRoomParticipants(room) {
+    return {
+        participants: [...room.participants.entries()].map(([sid, p]) => ({ id: p.memberId, name: p.name, host: sid === room.host }))
+    };
+}
+
+// New key on every handover, so a former host can no longer post state
+function assignRoomHost(room, sessionId) {
+    room.host = sessionId;
+    room.hostKey = createRoomSecret();
+    const participant = room.participants.get(sessionId);
+    if (participant) sendEvent(participant.res, 'host', { hostKey: room.hostKey });
+}
+
+function leaveRoom(room, sessionId) {
+    room.participants.delete(sessionId);
+    if (room.participants.size === 0) {
+        rooms.delete(room.id);
+        log(`[Room] ${room.id} closed`);
+        return;
+    }
+    if (room.host === sessionId) {
+        assignRoomHost(room, [...room.participants.entries()].sort((a, b) => a[1].joinedAt - b[1].joinedAt)[0][0]);
+        log(`[Room] ${room.id}: host left, ${room.host} takes over`);
+    }
+    broadcastRoom(room, 'participants', getRoomParticipants(room));
+}
+
+const server = http.createServer((req, res) => {
+    // Correlation ID for every log entry this request leads to
+    logContext.enterWith({ session: getRequestSessionId(req) });
+
+    // Enable CORS (for the configured origins)
+    applyCors(req, res);
 
     if (req.method === 'OPTIONS') {
         res.writeHead(204);
@@ -98,12 +1983,50 @@ const server = http.createServer((req, res) => {
         return;
     }
 
-    const parsedUrl = url.parse(req.url, true);
-
+    const parsedUrl = url.parse(req.url, true);
+
+    // Every path decision below works on the normalised path: no `..`
+    // anywhere, and `//hls/` or `/./hls/` is the same as `/hls/`
+    if (/(^|\/)\.\.(\/|$)/.test(parsedUrl.pathname)) {
+        res.writeHead(400);
+        res.end('Bad Path');
+        return;
+    }
+    parsedUrl.pathname = path.posix.normalize(parsedUrl.pathname);
+
+    // --- Access Control ---
+    // Signed HLS path: verify, then route it like the plain /hls/ path
+    let signedAccess = false;
+    const signedHls = parsedUrl.pathname.match(/^\/s\/(\d+)\/([0-9a-f]+)(\/hls\/([^/]+)\/.*)$/);
+    if (signedHls) {
+        if (!verifySignature(`hls/${signedHls[4]}`, signedHls[1], signedHls[2])) {
+            res.writeHead(403);
+            res.end('Link Expired');
+            return;
+        }
+        parsedUrl.pathname = signedHls[3];
+        signedAccess = true;
+    } else if (parsedUrl.pathname === '/subtitle' && parsedUrl.query.sig) {
+        signedAccess = verifySignature(`subtitle:${parsedUrl.query.url}`, parsedUrl.query.exp, parsedUrl.query.sig);
+    }
+
+    // The player itself (HTML/JS/CSS) and the login endpoints stay public
+    const isPublic = PUBLIC_PATHS.includes(parsedUrl.pathname);
+    if (!signedAccess && !isPublic && !isAuthenticated(req)) {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unauthorized' }));
+        return;
+    }
+
     // --- Serve Static Files ---
     let filePath = path.join(PUBLIC_DIR, parsedUrl.pathname === '/' ? 'index.html' : parsedUrl.pathname);
+    if (filePath !== PUBLIC_DIR && !filePath.startsWith(PUBLIC_DIR + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
 
-    fs.stat(filePath, (err, stats) => {
+    const handleRequest = () => fs.stat(filePath, (err, stats) => {
         if (!err && stats.isFile()) {
             const ext = path.extname(filePath);
             const contentType = {
@@ -119,7 +2042,174 @@ const server = http.createServer((req, res) => {
             fs.createReadStream(filePath).pipe(res);
         } else {
             // --- API Endpoints ---
-            if (parsedUrl.pathname === '/metadata') {
+            if (parsedUrl.pathname === '/auth-status') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ enabled: AUTH_ENABLED, authenticated: isAuthenticated(req) }));
+
+            } else if (parsedUrl.pathname === '/login' && req.method === 'POST') {
+                // Body: { "password": "<password or API token>" }
+                let body = '';
+                req.on('data', chunk => {
+                    body += chunk.toString();
+                    if (body.length > 4096) req.destroy();
+                });
+                req.on('end', () => {
+                    let password = '';
+                    try {
+                        password = JSON.parse(body).password;
+                    } catch (e) { }
+
+                    if (!AUTH_ENABLED || !isValidCredential(password)) {
+                        log('[Auth] Failed login attempt');
+                        res.writeHead(401, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ error: 'Invalid password' }));
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': createLoginCookie(req) });
+                    res.end(JSON.stringify({ status: 'ok' }));
+                });
+
+            } else if (parsedUrl.pathname === '/library') {
+                // ?rescan=1 waits for a fresh scan instead of the current index
+                const ready = parsedUrl.query.rescan ? scanLibrary() : Promise.resolve();
+                ready.then(() => {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(getLibraryListing()));
+                }).catch((e) => {
+                    res.writeHead(500);
+                    res.end(JSON.stringify({ error: e.message }));
+                });
+
+            } else if (parsedUrl.pathname === '/next-episode') {
+                // { url, title } of the episode after ?url=, or { url: null }
+                const videoUrl = parsedUrl.query.url;
+                if (!videoUrl || typeof videoUrl !== 'string') {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Missing URL' }));
+                    return;
+                }
+                findNextEpisode(videoUrl).then((nextUrl) => {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ url: nextUrl, title: nextUrl ? getSourceTitle(nextUrl) : null }));
+                }).catch((e) => {
+                    log(`[NextEpisode] Lookup failed: ${e.message}`, 'warn');
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Next episode lookup failed' }));
+                });
+
+            } else if (parsedUrl.pathname === '/room/create' && req.method === 'POST') {
+                // ?session=<host session> -> { room, hostKey }
+                const sessionId = parsedUrl.query.session;
+                if (!sessionId) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Missing Session ID' }));
+                    return;
+                }
+                const room = { id: createRoomId(), host: sessionId, hostKey: createRoomSecret(), state: null, participants: new Map() };
+                rooms.set(room.id, room);
+                log(`[Room] ${room.id} created by ${sessionId}`);
+                // Nobody ever joined (creator closed the tab right away)
+                setTimeout(() => {
+                    if (rooms.get(room.id) === room && room.participants.size === 0) rooms.delete(room.id);
+                }, 60000);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ room: room.id, hostKey: room.hostKey }));
+
+            } else if (parsedUrl.pathname === '/room/events') {
+                // EventSource: ?room=&session=&name=
+                // Events: welcome { memberId } and host { hostKey } (to this player only),
+                // participants { participants }, state { ...host state, serverTime }
+                const room = rooms.get(String(parsedUrl.query.room || '').toUpperCase());
+                const sessionId = parsedUrl.query.session;
+                if (!room || !sessionId) {
+                    res.writeHead(404);
+                    res.end('Room Not Found');
+                    return;
+                }
+
+                const previous = room.participants.get(sessionId);
+                if (previous) previous.res.end(); // Same player reconnecting
+                const name = String(parsedUrl.query.name || 'Guest').slice(0, 32);
+                const participant = {
+                    memberId: previous ? previous.memberId : createRoomSecret(),
+                    name,
+                    res,
+                    joinedAt: previous ? previous.joinedAt : Date.now()
+                };
+                room.participants.set(sessionId, participant);
+
+                openEventStream(req, res, () => {
+                    // A reconnect replaces the entry; only the current stream may leave
+                    if (room.participants.get(sessionId) === participant) leaveRoom(room, sessionId);
+                });
+                log(`[Room] ${name} (${sessionId}) joined ${room.id}`);
+                sendEvent(res, 'welcome', { memberId: participant.memberId });
+                // Host reloading the page: hand its key back
+                if (room.host === sessionId) sendEvent(res, 'host', { hostKey: room.hostKey });
+                broadcastRoom(room, 'participants', getRoomParticipants(room));
+                if (room.state) sendEvent(res, 'state', { ...room.state, serverTime: Date.now() });
+
+            } else if (parsedUrl.pathname === '/room/state' && req.method === 'POST') {
+                // Host only: ?room=&key=<host key>, body { url, paused, position, audioIndex }
+                const room = rooms.get(String(parsedUrl.query.room || '').toUpperCase());
+                if (!room || !safeEqual(String(parsedUrl.query.key || ''), room.hostKey)) {
+                    res.writeHead(403);
+                    res.end(JSON.stringify({ error: 'Not the host of this room' }));
+                    return;
+                }
+
+                let body = '';
+                req.on('data', chunk => {
+                    body += chunk.toString();
+                    if (body.length > 8192) req.destroy();
+                });
+                req.on('end', () => {
+                    let state;
+                    try {
+                        const data = JSON.parse(body);
+                        state = {
+                            url: typeof data.url === 'string' ? data.url : null,
+                            paused: !!data.paused,
+                            position: Math.max(0, parseFloat(data.position) || 0),
+                            audioIndex: parseInt(data.audioIndex) || 0,
+                            updatedAt: Date.now()
+                        };
+                    } catch (e) {
+                        res.writeHead(400);
+                        res.end(JSON.stringify({ error: 'Invalid state' }));
+                        return;
+                    }
+                    room.state = state;
+                    broadcastRoom(room, 'state', { ...state, serverTime: Date.now() }, room.host);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'ok' }));
+                });
+
+            } else if (parsedUrl.pathname === '/history') {
+                // ?profile=<name>            -> { entries } newest first
+                // ?profile=<name>&url=<src>  -> { entry } (null if never played)
+                const profile = normalizeProfile(parsedUrl.query.profile);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                if (parsedUrl.query.url) {
+                    res.end(JSON.stringify({ entry: getHistoryEntry(profile, parsedUrl.query.url) }));
+                } else {
+                    const entries = Object.values(watchHistory[profile] || {}).sort((a, b) => b.updatedAt - a.updatedAt);
+                    res.end(JSON.stringify({ entries }));
+                }
+
+            } else if (parsedUrl.pathname === '/history/watched' && req.method === 'POST') {
+                // ?profile=<name>&url=<src>&watched=true|false
+                const videoUrl = parsedUrl.query.url;
+                if (!videoUrl || videoUrl.length > 4096) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Missing URL' }));
+                    return;
+                }
+                const entry = setWatched(normalizeProfile(parsedUrl.query.profile), videoUrl, parsedUrl.query.watched !== 'false');
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ entry }));
+
+            } else if (parsedUrl.pathname === '/metadata') {
                 const videoUrl = parsedUrl.query.url;
                 if (!videoUrl) {
                     res.writeHead(400);
@@ -128,62 +2218,53 @@ const server = http.createServer((req, res) => {
                 }
 
                 log(`Fetching metadata for: ${videoUrl}`);
-                const ffprobe = spawn('ffprobe', [
-                    '-v', 'quiet',
-                    '-print_format', 'json',
-                    '-show_streams',
-                    '-show_format',
-                    videoUrl
-                ]);
-
-                let output = '';
-                ffprobe.stdout.on('data', (data) => output += data);
-                ffprobe.stderr.on('data', (data) => log(`[ffprobe] ${data.toString().trim()}`));
-
-                ffprobe.on('close', async (code) => {
-                    if (code === 0) {
-                        try {
-                            const data = JSON.parse(output);
-
-                            const textSubtitleCodecs = [
-                                'subrip', 'webvtt', 'ass', 'ssa', 'mov_text', 'mpl2', 'text'
-                            ];
-
-                            const subs = data.streams
-                                .filter(s => s.codec_type === 'subtitle')
-                                .filter(s => textSubtitleCodecs.includes(s.codec_name))
-                                .sort((a, b) => a.index - b.index) // Ensure consistent order
-                                .map((s, i) => ({
-                                    index: s.index,
-                                    lang: s.tags?.language || 'und',
-                                    title: s.tags?.title || `Track ${i + 1}`,
-                                    codec: s.codec_name
-                                }));
-
-                            const audio = data.streams
-                                .filter(s => s.codec_type === 'audio')
-                                .sort((a, b) => a.index - b.index) // Ensure consistent order
-                                .map((s, i) => ({
-                                    index: i,
-                                    lang: s.tags?.language || 'und',
-                                    codec: s.codec_name
-                                }));
-
-                            log(`Audio Metadata: ${JSON.stringify(audio, null, 2)}`);
-
-                            const duration = data.format ? parseFloat(data.format.duration || 0) : 0;
-
-                            res.writeHead(200, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({ audio, subs, duration }));
-
-                        } catch (e) {
-                            res.writeHead(500);
-                            res.end(JSON.stringify({ error: 'Parse Error' + e.message }));
-                        }
-                    } else {
+                probeMedia(videoUrl).then((output) => {
+                    try {
+                        const data = JSON.parse(output);
+
+                        // Text subs are served as WebVTT (/subtitle); image subs
+                        // can only be burned into the video (/start?burnSub=)
+                        const subs = data.streams
+                            .filter(s => s.codec_type === 'subtitle')
+                            .filter(s => TEXT_SUBTITLE_CODECS.includes(s.codec_name) || IMAGE_SUBTITLE_CODECS.includes(s.codec_name))
+                            .sort((a, b) => a.index - b.index) // Ensure consistent order
+                            .map((s, i) => ({
+                                index: s.index,
+                                lang: s.tags?.language || 'und',
+                                title: s.tags?.title || `Track ${i + 1}`,
+                                codec: s.codec_name,
+                                image: IMAGE_SUBTITLE_CODECS.includes(s.codec_name)
+                            }));
+
+                        const audio = data.streams
+                            .filter(s => s.codec_type === 'audio')
+                            .sort((a, b) => a.index - b.index) // Ensure consistent order
+                            .map((s, i) => ({
+                                index: i,
+                                lang: s.tags?.language || 'und',
+                                codec: s.codec_name,
+                                channels: s.channels || 0,
+                                layout: s.channel_layout || ''
+                            }));
+
+                        log(`Audio Metadata: ${JSON.stringify(audio, null, 2)}`);
+
+                        const duration = data.format ? parseFloat(data.format.duration || 0) : 0;
+
+                        // Sidecar subtitles previously added for this URL
+                        subs.push(...listExternalSubtitles(videoUrl));
+
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({ audio, subs, duration, subtitleAuth: getSubtitleAuth(videoUrl) }));
+
+                    } catch (e) {
                         res.writeHead(500);
-                        res.end(JSON.stringify({ error: 'Probe Failed' }));
+                        res.end(JSON.stringify({ error: 'Parse Error' + e.message }));
                     }
+                }).catch((e) => {
+                    log(`[Probe] Metadata probe failed: ${e.message}`, 'warn');
+                    res.writeHead(500);
+                    res.end(JSON.stringify({ error: 'Probe Failed' }));
                 });
 
             } else if (parsedUrl.pathname === '/direct-stream') {
@@ -194,12 +2275,19 @@ const server = http.createServer((req, res) => {
                     return;
                 }
 
+                if (getLibraryItem(videoUrl)) {
+                    res.writeHead(400);
+                    res.end('Library items are played through /start');
+                    return;
+                }
+
                 log(`[Direct Stream] Proxying: ${videoUrl} | Method: ${req.method}`);
 
                 // --- PART C: Hardened Byte-Range Proxy ---
                 const lib = videoUrl.startsWith('https') ? https : http;
                 const options = url.parse(videoUrl);
                 options.method = req.method; // Support HEAD requests
+                options.lookup = publicOnlyLookup; // Validated name may resolve differently now
                 options.headers = {};
 
                 // Forward essential headers
@@ -214,8 +2302,7 @@ const server = http.createServer((req, res) => {
                     // Build response headers
                     const headers = {
                         'Cache-Control': 'no-store',           // Prevent caching issues
-                        'Connection': 'keep-alive',            // Maintain connection
-                        'Access-Control-Allow-Origin': '*'
+                        'Connection': 'keep-alive'             // Maintain connection
                     };
 
                     // Forward content headers from upstream
@@ -232,16 +2319,19 @@ const server = http.createServer((req, res) => {
                         return;
                     }
 
+                    proxyRes.on('data', chunk => metrics.directStreamBytes += chunk.length);
                     proxyRes.pipe(res);
                 });
 
+                metrics.directStreams++;
                 // Abort upstream if client disconnects (prevent memory leaks)
                 req.on('close', () => {
+                    metrics.directStreams--;
                     proxyReq.destroy();
                 });
 
                 proxyReq.on('error', (e) => {
-                    log(`[Direct Stream] Error: ${e.message}`);
+                    log(`[Direct Stream] Error: ${e.message}`, 'error');
                     if (!res.headersSent) {
                         res.writeHead(502); // Bad Gateway
                         res.end('Upstream Error');
@@ -253,12 +2343,19 @@ const server = http.createServer((req, res) => {
             } else if (parsedUrl.pathname === '/start') {
                 const videoUrl = parsedUrl.query.url;
                 const sessionId = parsedUrl.query.session; // Mandatory
+                // Optional: seconds into the source to begin encoding from (seek-restart)
+                const startOffset = Math.max(0, parseFloat(parsedUrl.query.start) || 0);
 
                 if (!videoUrl || !sessionId) {
                     res.writeHead(400);
                     res.end('Missing URL or Session ID');
                     return;
                 }
+                if (!isValidSessionId(sessionId)) {
+                    res.writeHead(400);
+                    res.end('Invalid Session ID');
+                    return;
+                }
 
                 // --- Device Detection ---
                 const userAgent = req.headers['user-agent'] || '';
@@ -269,15 +2366,7 @@ const server = http.createServer((req, res) => {
                 // 1. Get or Create Session
                 let session = sessions.get(sessionId);
                 if (!session) {
-                    session = {
-                        id: sessionId,
-                        process: null,
-                        url: null,
-                        mode: null,           // Track current mode
-                        forceTranscode: false, // Track transcode preference
-                        lastPing: Date.now(),
-                        dir: path.join(hlsBaseDir, sessionId)
-                    };
+                    session = createSession(sessionId);
                     sessions.set(sessionId, session);
 
                     // Create Session Directory
@@ -290,17 +2379,52 @@ const server = http.createServer((req, res) => {
 
                 const hlsDir = session.dir; // Use SESSION SPECIFIC dir
                 const userForceTranscode = parsedUrl.query.transcode === 'true';
-
-                // SMART CHECK: If same URL AND same transcode setting
-                // If transcode preference changed, we MUST restart
-                if (session.process && session.url === videoUrl && session.forceTranscode === userForceTranscode) {
+                const userPassthrough = parsedUrl.query.passthrough === 'true';
+                // Absolute stream index of an image subtitle to burn in (-1 / absent = none)
+                const requestedBurnSub = parseInt(parsedUrl.query.burnSub);
+                const burnSub = requestedBurnSub >= 0 ? requestedBurnSub : null;
+                const audioProfile = Object.prototype.hasOwnProperty.call(AUDIO_PROFILES, parsedUrl.query.audioProfile)
+                    ? parsedUrl.query.audioProfile
+                    : DEFAULT_AUDIO_PROFILE;
+
+                // SEEK CHECK: A requested start offset is only served by the running
+                // encode if it falls inside the part that has already been written.
+                // Anything before the run's start or past its encoded edge needs a restart.
+                // VOD sessions cover every offset: missing segments are made on demand.
+                const encodedEnd = session.startOffset + getEncodedDuration(hlsDir);
+                const offsetCovered = !parsedUrl.query.start || !!session.vod ||
+                    (startOffset >= session.startOffset && startOffset <= encodedEnd);
+
+                // SMART CHECK: If same URL AND same transcode setting AND same audio/burn-in settings AND offset is covered
+                // If transcode preference, audio profile, passthrough or burned subtitle changed, we MUST restart
+                // (A finished VOD encode has no process but is still fully usable)
+                if ((session.process || session.vod) && session.url === videoUrl && session.forceTranscode === userForceTranscode &&
+                    session.audioProfile === audioProfile && session.passthrough === userPassthrough &&
+                    session.burnSub === burnSub && offsetCovered) {
                     log(`Stream already active for session ${sessionId}. Reusing.`);
                     res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'resumed', mode: session.mode || 'AUDIO_PROCESS_ONLY' }));
+                    res.end(JSON.stringify({
+                        status: 'resumed',
+                        mode: session.mode || 'AUDIO_PROCESS_ONLY',
+                        startOffset: session.startOffset,
+                        vod: !!session.vod,
+                        duration: session.vod ? session.vod.duration : 0,
+                        hlsBase: getHlsBase(sessionId),
+                        subtitleAuth: getSubtitleAuth(videoUrl)
+                    }));
+                    return;
+                }
+
+                // ADMISSION: over the transcode cap we answer 503/queued and leave any
+                // running stream of this session alone until a slot frees up.
+                const queuePosition = requestTranscodeSlot(session);
+                if (queuePosition > 0) {
+                    log(`[Queue] Session ${sessionId} queued at position ${queuePosition} (${MAX_CONCURRENT_TRANSCODES} transcodes running)`);
+                    sendQueued(res, queuePosition);
                     return;
                 }
 
-                // Cleanup previous stream (Different URL or transcode preference changed)
+                // Cleanup previous stream (Different URL, transcode preference, audio/burn-in settings or seek target changed)
                 if (session.process) {
                     log(`Stopping previous stream for session ${sessionId}...`);
                     try {
@@ -310,20 +2434,23 @@ const server = http.createServer((req, res) => {
                     session.url = null;
                 }
 
-                // Clear Session Directory (Fresh Start)
-                try {
-                    const files = fs.readdirSync(hlsDir);
-                    for (const file of files) {
-                        fs.unlinkSync(path.join(hlsDir, file));
-                    }
-                } catch (e) { }
+                // RESUME: a session interrupted by a server restart keeps its finished
+                // segments if it comes back with the same settings. The VOD encoder then
+                // starts at the first missing segment (mode must match, checked below).
+                let resumeSegments = session.interrupted && session.url === videoUrl &&
+                    session.forceTranscode === userForceTranscode && session.audioProfile === audioProfile &&
+                    session.passthrough === userPassthrough && session.burnSub === burnSub;
+                const resumedMode = session.mode;
+                session.interrupted = false;
 
-                // --- MODES ---
-                const MODE = {
-                    NATIVE_DIRECT: 'NATIVE_DIRECT',       // No FFmpeg, Proxy only
-                    AUDIO_ONLY: 'AUDIO_PROCESS_ONLY',     // Video Copy, Audio Transcode (Filter)
-                    FULL_TRANSCODE: 'FULL_TRANSCODE'      // Video Transcode, Audio Transcode
-                };
+                // Clear Session Directory (Fresh Start)
+                session.vod = null;
+                if (resumeSegments) {
+                    log(`[Resume] Session ${sessionId}: keeping encoded segments after restart`);
+                    removeTempSegments(hlsDir);
+                } else {
+                    clearSessionDir(hlsDir);
+                }
 
                 // --- PART D: Device Capability Matrix ---
                 // Different TV platforms have different codec support
@@ -372,6 +2499,7 @@ const server = http.createServer((req, res) => {
 
                 const tvBrand = isTV ? detectTVBrand(userAgent) : 'generic';
                 const tvCaps = TV_CAPABILITIES[tvBrand];
+                session.device = isTV ? tvBrand : 'browser';
                 log(`[Device] Brand: ${tvBrand} | Caps: ${JSON.stringify(tvCaps)}`);
 
                 // Enhanced Video Compatibility Check (validates profile/level)
@@ -421,13 +2549,23 @@ const server = http.createServer((req, res) => {
                 };
 
                 const startEncodingProcess = (fallbackMode = null) => {
-                    log(`Starting Session ${sessionId}: ${videoUrl}`);
+                    log(`Starting Session ${sessionId}: ${videoUrl} (Offset: ${startOffset}s)`);
+                    session.starting = Date.now(); // Slot is ours while probing
 
-                    const probe = spawn('ffprobe', ['-v', 'quiet', '-print_format', 'json', '-show_streams', videoUrl]);
-                    let probeData = '';
-                    probe.stdout.on('data', d => probeData += d);
+                    // Fallback retries start over with an empty directory
+                    if (fallbackMode) {
+                        clearSessionDir(hlsDir);
+                        resumeSegments = false;
+                    }
 
-                    probe.on('close', (code) => {
+                    // Usually answered from the cache filled by /metadata
+                    probeMedia(videoUrl).then(
+                        output => ({ code: 0, probeData: output }),
+                        (e) => {
+                            log(`[Probe] Failed: ${e.message}`, 'warn');
+                            return { code: 1, probeData: '' };
+                        }
+                    ).then(({ code, probeData }) => {
                         let isVideoCompatible = false;
                         let isNativeCompatible = false;
 
@@ -437,10 +2575,11 @@ const server = http.createServer((req, res) => {
                         }
 
                         // --- DECISION LOGIC ---
-                        // SIMPLIFIED FOR TV: Enhanced Audio is ALWAYS ON (treble boost mandatory)
-                        // TV Default: AUDIO_ONLY (video copy + treble-boosted AC3)
-                        // TV + Force Transcode: FULL_TRANSCODE (transcode video + treble-boosted AC3)
-                        // NOTE: userForceTranscode is already defined in outer scope
+                        // SIMPLIFIED FOR TV: Audio is re-encoded with the selected profile
+                        // (unless passed through, see AUDIO PASSTHROUGH below)
+                        // TV Default: AUDIO_ONLY (video copy + profiled AC3)
+                        // TV + Force Transcode: FULL_TRANSCODE (transcode video + profiled AC3)
+                        // NOTE: userForceTranscode and audioProfile are already defined in outer scope
 
                         let selectedMode = MODE.FULL_TRANSCODE; // Default
 
@@ -448,9 +2587,9 @@ const server = http.createServer((req, res) => {
                             selectedMode = fallbackMode;
                             log(`[Decision] Using Fallback Mode: ${selectedMode}`);
                         } else if (isTV) {
-                            // TV MODE: Enhanced Audio is COMPULSORY
-                            // Default: Video Copy + Treble-Boosted Audio
-                            // Force Transcode: Full Transcode + Treble-Boosted Audio
+                            // TV MODE: Audio is always processed
+                            // Default: Video Copy + Profiled Audio
+                            // Force Transcode: Full Transcode + Profiled Audio
                             if (userForceTranscode) {
                                 selectedMode = MODE.FULL_TRANSCODE;
                             } else if (isVideoCompatible) {
@@ -463,14 +2602,43 @@ const server = http.createServer((req, res) => {
                             selectedMode = MODE.FULL_TRANSCODE;
                         }
 
+                        // --- SUBTITLE BURN-IN ---
+                        // Image subtitles have to be drawn into the picture, which needs
+                        // a video encode: force FULL_TRANSCODE whatever was chosen above.
+                        let burnSubValid = false;
+                        if (burnSub !== null && code === 0) {
+                            try {
+                                const subStream = JSON.parse(probeData).streams.find(s => s.index === burnSub);
+                                burnSubValid = !!subStream && subStream.codec_type === 'subtitle' && IMAGE_SUBTITLE_CODECS.includes(subStream.codec_name);
+                            } catch (e) { }
+                            if (!burnSubValid) {
+                                log(`[Subtitle] Stream ${burnSub} is not an image subtitle. Ignoring burn-in.`);
+                            } else if (selectedMode !== MODE.FULL_TRANSCODE) {
+                                log(`[Decision] Burn-in of subtitle ${burnSub} requires FULL_TRANSCODE (was ${selectedMode})`);
+                                selectedMode = MODE.FULL_TRANSCODE;
+                            }
+                        }
+
                         // Store mode and preference in session for future reuse check
                         session.mode = selectedMode;
                         session.forceTranscode = userForceTranscode;
-
-                        log(`[Decision] TV: ${isTV} | ForceTranscode: ${userForceTranscode} | VideoCompat: ${isVideoCompatible} -> ${selectedMode}`);
+                        session.audioProfile = audioProfile;
+                        session.passthrough = userPassthrough;
+                        session.burnSub = burnSub;
+                        pushSessionEvent(sessionId, 'mode', { mode: selectedMode, fallback: !!fallbackMode });
+
+                        log(`[Decision] TV: ${isTV} | ForceTranscode: ${userForceTranscode} | AudioProfile: ${audioProfile} | Passthrough: ${userPassthrough} | VideoCompat: ${isVideoCompatible} -> ${selectedMode}`);
+
+                        // Segments of another mode would not match the new ones
+                        if (resumeSegments && selectedMode !== resumedMode) {
+                            log(`[Resume] Mode changed (${resumedMode} -> ${selectedMode}). Starting fresh.`);
+                            clearSessionDir(hlsDir);
+                            resumeSegments = false;
+                        }
 
                         // 1. NATIVE DIRECT
                         if (selectedMode === MODE.NATIVE_DIRECT) {
+                            session.starting = 0; // No encoder needed
                             res.writeHead(200, { 'Content-Type': 'application/json' });
                             const directStreamUrl = `/direct-stream?url=${encodeURIComponent(videoUrl)}`;
                             res.end(JSON.stringify({ status: 'started', mode: MODE.NATIVE_DIRECT, streamUrl: directStreamUrl }));
@@ -479,9 +2647,24 @@ const server = http.createServer((req, res) => {
 
                         // 2. FFmpeg Modes
                         let audioStreams = [];
+                        let probeDuration = 0;
+                        let probeBitrate = 0;
+                        let sourceWidth = 0;
+                        let sourceHeight = 0;
+                        let sourceFrameRate = 0;
                         if (code === 0) {
                             try {
                                 const pd = JSON.parse(probeData);
+                                probeDuration = pd.format ? parseFloat(pd.format.duration || 0) : 0;
+                                probeBitrate = pd.format ? parseInt(pd.format.bit_rate || 0) : 0;
+                                const sourceVideo = pd.streams.find(s => s.codec_type === 'video');
+                                if (sourceVideo) {
+                                    sourceWidth = sourceVideo.width || 0;
+                                    sourceHeight = sourceVideo.height || 0;
+                                    // "24000/1001"; "0/0" when unknown
+                                    const [num, den] = String(sourceVideo.avg_frame_rate || sourceVideo.r_frame_rate || '').split('/').map(Number);
+                                    sourceFrameRate = num > 0 && den > 0 ? num / den : 0;
+                                }
                                 audioStreams = pd.streams
                                     .filter(s => s.codec_type === 'audio')
                                     .map((s, i) => ({
@@ -489,50 +2672,107 @@ const server = http.createServer((req, res) => {
                                         streamIndex: i,
                                         lang: s.tags?.language || 'und',
                                         title: s.tags?.title || `Track ${i + 1}`,
-                                        codec: s.codec_name
+                                        codec: s.codec_name,
+                                        channels: s.channels || 0
                                     }))
                                     .sort((a, b) => a.index - b.index);
                             } catch (e) { }
                         }
 
+                        // --- OUTPUT CHANNELS (per device) ---
+                        // TVs feed a receiver/soundbar: 5.1. Phones and laptops: stereo.
+                        const outputLayout = isTV ? '5.1' : 'stereo';
+                        const outputChannels = outputLayout === '5.1' ? 6 : 2;
+                        const audioBitrateKbps = outputChannels === 6 ? config.settings.audioBitrateSurroundKbps : config.settings.audioBitrateStereoKbps;
+
+                        // --- AUDIO PASSTHROUGH ---
+                        // Tracks the TV decodes itself (e.g. AC3/EAC3 incl. Atmos/DDP) are copied
+                        // untouched when nothing would be done to them anyway (profile "off") or
+                        // the user asked for bit-perfect audio (which then skips the profile).
+                        const passthroughAllowed = isTV && (audioProfile === 'off' || userPassthrough);
+                        const passthroughTracks = audioStreams.map(audio => passthroughAllowed && tvCaps.audio.includes(audio.codec));
+
                         let filterComplex = '';
                         let audioMaps = [];
                         let varStreamMap = '';
+                        const audioVariants = []; // { lang, name } per audio rendition, for the VOD master
+
+                        // --- VIDEO RENDITIONS (ABR LADDER) ---
+                        // FULL_TRANSCODE encodes every ladder rung that fits the source;
+                        // copy mode (or an unknown source size) keeps the single original stream.
+                        let videoRenditions = [];
+                        if (selectedMode === MODE.FULL_TRANSCODE && sourceHeight > 0) {
+                            videoRenditions = TRANSCODE_LADDER.filter(rung => rung.height <= sourceHeight);
+                            if (videoRenditions.length === 0) {
+                                // Source smaller than every rung: one rendition at source size
+                                videoRenditions = [{ height: sourceHeight, maxrateKbps: TRANSCODE_LADDER[TRANSCODE_LADDER.length - 1]?.maxrateKbps || 1200 }];
+                            }
+                            videoRenditions = videoRenditions.map(rung => ({
+                                ...rung,
+                                // Keep the aspect ratio; libx264 needs even dimensions
+                                width: Math.round((rung.height * sourceWidth / sourceHeight) / 2) * 2
+                            }));
+                        }
+
+                        // Burn-in: overlay the subtitle bitmaps first, every rung then scales the result.
+                        // eof_action=pass keeps the video going after the last subtitle.
+                        const videoFilters = [];
+                        let videoSource = '[0:v:0]';
+                        if (burnSubValid) {
+                            videoFilters.push(`[0:v:0][0:${burnSub}]overlay=eof_action=pass[vburn]`);
+                            videoSource = '[vburn]';
+                        }
+                        if (videoRenditions.length > 0) {
+                            videoFilters.push(`${videoSource}split=${videoRenditions.length}` + videoRenditions.map((r, i) => `[vsrc${i}]`).join('') + ';' +
+                                videoRenditions.map((r, i) => `[vsrc${i}]scale=-2:${r.height}[vout${i}]`).join(';'));
+                        }
+                        const videoFilter = videoFilters.join(';');
+                        const videoVariantCount = Math.max(1, videoRenditions.length);
+                        const videoVarStreams = [];
+                        for (let i = 0; i < videoVariantCount; i++) {
+                            videoVarStreams.push(audioStreams.length > 0 ? `v:${i},agroup:audio` : `v:${i}`);
+                        }
 
                         if (audioStreams.length > 0) {
-                            varStreamMap = 'v:0,agroup:audio';
+                            varStreamMap = videoVarStreams.join(' ');
+                            const buildProfileFilter = AUDIO_PROFILES[audioProfile];
                             audioStreams.forEach((audio, i) => {
-                                // SIMPLIFIED TREBLE BOOST FILTER (per user spec)
-                                // 1. Split 5.1 channels
-                                // 2. EQ boost on FC (center/dialog) and FL/FR
-                                // 3. Mix boosted FC into FL/FR for wider dialog
-                                // 4. Boost FC volume
-                                // 5. Rejoin to 5.1
-                                const fc =
-                                    `[0:${audio.index}]channelsplit=channel_layout=5.1[FL_${i}][FR_${i}][FC_${i}][LFE_${i}][SL_${i}][SR_${i}];` +
-                                    `[FC_${i}]equalizer=f=5000:t=q:w=1:g=4,equalizer=f=8000:t=q:w=1:g=3[eFC_${i}];` +
-                                    `[FL_${i}]equalizer=f=6000:t=q:w=1:g=4[eFL_${i}];` +
-                                    `[FR_${i}]equalizer=f=6000:t=q:w=1:g=4[eFR_${i}];` +
-                                    `[eFC_${i}]asplit=3[eFC_L_${i}][eFC_R_${i}][eFC_C_${i}];` +
-                                    `[eFL_${i}][eFC_L_${i}]amix=inputs=2:weights='0.70 0.30'[nFL_${i}];` +
-                                    `[eFR_${i}][eFC_R_${i}]amix=inputs=2:weights='0.70 0.30'[nFR_${i}];` +
-                                    `[eFC_C_${i}]volume=1.5[nFC_${i}];` +
-                                    `[nFL_${i}][nFR_${i}][nFC_${i}][LFE_${i}][SL_${i}][SR_${i}]join=inputs=6:channel_layout=5.1[outa${i}];`;
-
-                                filterComplex += fc;
-                                audioMaps.push('-map', `[outa${i}]`);
+                                // Every track, copied or encoded, is a rendition of the audio group
                                 const safeTitle = (audio.title || `Audio_${i + 1}`).replace(/[^a-zA-Z0-9]/g, '_').replace(/^_+|_+$/g, '') || `Audio_${i + 1}`;
                                 varStreamMap += ` a:${i},agroup:audio,language:${audio.lang},name:${safeTitle}`;
+                                audioVariants.push({ lang: audio.lang, name: safeTitle });
+
+                                // 0. Passthrough: bit-perfect copy, no filter graph
+                                if (passthroughTracks[i]) {
+                                    log(`[Audio] Track ${i}: ${audio.codec} passthrough (copy)`);
+                                    audioMaps.push('-map', `0:${audio.index}`);
+                                    return;
+                                }
+
+                                // 1. Bring the source layout to the device's output layout
+                                const normalize = buildChannelNormalizer(audio.channels, outputLayout);
+                                log(`[Audio] Track ${i}: ${audio.channels}ch -> ${outputLayout} (${normalize})`);
+
+                                // 2. Selected enhancement profile (see AUDIO_PROFILES)
+                                if (buildProfileFilter) {
+                                    filterComplex += `[0:${audio.index}]${normalize}[src${i}];` +
+                                        buildProfileFilter(`[src${i}]`, i, outputLayout) + ';';
+                                } else {
+                                    // Profile "off": channel normalisation only
+                                    filterComplex += `[0:${audio.index}]${normalize}[outa${i}];`;
+                                }
+                                audioMaps.push('-map', `[outa${i}]`);
                             });
                         } else {
-                            varStreamMap = 'v:0';
+                            varStreamMap = videoVarStreams.join(' ');
                         }
 
                         if (filterComplex.endsWith(';')) filterComplex = filterComplex.slice(0, -1);
+                        filterComplex = [videoFilter, filterComplex].filter(Boolean).join(';');
 
                         // --- VIDEO CODEC SELECTION ---
                         let videoCodec = 'libx264';
-                        let videoOpts = ['-preset', 'ultrafast', '-tune', 'zerolatency', '-crf', '23', '-pix_fmt', 'yuv420p'];
+                        let videoOpts = ['-preset', X264_PRESET, '-tune', 'zerolatency', '-crf', String(X264_CRF), '-pix_fmt', 'yuv420p'];
                         let videoBsf = []; // Bitstream filter for video
 
                         if (selectedMode === MODE.AUDIO_ONLY) {
@@ -546,11 +2786,11 @@ const server = http.createServer((req, res) => {
 
                         // --- AUDIO CODEC SELECTION (TVs need AC3) ---
                         let audioCodec = 'aac';
-                        let audioSampleRate = [];
+                        let audioSampleRate = null;
 
                         if (isTV || selectedMode === MODE.AUDIO_ONLY) {
                             audioCodec = 'ac3';
-                            audioSampleRate = ['-ar', '48000'];
+                            audioSampleRate = '48000';
                         }
 
                         // ============================================
@@ -561,154 +2801,527 @@ const server = http.createServer((req, res) => {
                         // This caused "Output pad not found" errors (silent failures)
                         // ============================================
 
-                        const ffmpegArgs = ['-y', '-i', videoUrl];
-
-                        // STEP 1: Add filter_complex FIRST if audio processing is needed
-                        // WHY: Filter labels like [outa0] must exist before -map [outa0]
-                        if (audioStreams.length > 0 && filterComplex) {
-                            ffmpegArgs.push('-filter_complex', filterComplex);
+                        // --- VOD LAYOUT ---
+                        // With a known duration the server publishes the complete playlist up
+                        // front and ffmpeg only fills in segments; a request for a segment the
+                        // encoder is not about to reach restarts it there (see /hls handler).
+                        // Unknown duration (live / failed probe) keeps the growing event playlist.
+                        // So does copied video (AUDIO_PROCESS_ONLY): ffmpeg can only cut it on
+                        // source keyframes, so its segments would not match equal slices and
+                        // would drift away from the exactly cut audio renditions.
+                        const isVod = probeDuration > 0 && videoCodec !== 'copy';
+
+                        // Transcoded video gets a keyframe on every segment boundary so the
+                        // segments ffmpeg cuts match the durations in our playlist exactly, and
+                        // every ladder rung splits at the same points (needed for ABR switching).
+                        if (videoCodec !== 'copy') {
+                            videoOpts.push('-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`);
                         }
 
-                        // STEP 2: Map video stream
-                        // WHY: Video always comes from input stream 0:v:0
-                        ffmpegArgs.push('-map', '0:v:0');
-
-                        // STEP 3: Map audio outputs (NOW filter labels exist)
-                        // WHY: audioMaps contains ['-map', '[outa0]', '-map', '[outa1]', ...]
-                        if (audioMaps.length > 0) {
-                            ffmpegArgs.push(...audioMaps);
-                        } else if (audioStreams.length > 0) {
-                            // FALLBACK: If filter failed, map raw audio
-                            log('[FFmpeg] WARNING: No audio filter maps. Using raw audio.');
-                            ffmpegArgs.push('-map', '0:a:0');
-                        }
+                        // Per-rung bitrate caps on top of the CRF target
+                        videoRenditions.forEach((r, i) => {
+                            videoOpts.push(`-maxrate:v:${i}`, `${r.maxrateKbps}k`, `-bufsize:v:${i}`, `${r.maxrateKbps * 2}k`);
+                        });
 
-                        // STEP 4: Video codec settings
-                        ffmpegArgs.push('-c:v', videoCodec, ...videoOpts);
+                        const buildFfmpegArgs = (startSegment) => {
+                            const seekSeconds = isVod ? startSegment * HLS_SEGMENT_SECONDS : startOffset;
+                            const ffmpegArgs = ['-y', '-nostats', '-progress', 'pipe:1'];
 
-                        // STEP 4b: Add bitstream filter for video copy mode (H.264 to HLS)
-                        if (videoBsf.length > 0) {
-                            ffmpegArgs.push(...videoBsf);
-                        }
+                            // Seek-restart: input seeking (-ss before -i) jumps straight to the
+                            // offset instead of decoding everything before it.
+                            if (seekSeconds > 0) {
+                                ffmpegArgs.push('-ss', String(seekSeconds));
+                            }
+                            ffmpegArgs.push(...getInputArgs(videoUrl));
 
-                        // STEP 5: Audio codec settings (only if we have audio)
-                        if (audioStreams.length > 0) {
-                            ffmpegArgs.push(
-                                '-c:a', audioCodec,
-                                ...audioSampleRate,
-                                '-b:a', '640k',
-                                '-ac', '6'
-                            );
-                        }
+                            // STEP 1: Add filter_complex FIRST if audio/video processing is needed
+                            // WHY: Filter labels like [outa0] must exist before -map [outa0]
+                            if (filterComplex) {
+                                ffmpegArgs.push('-filter_complex', filterComplex);
+                            }
+
+                            // STEP 2: Map video stream(s)
+                            // WHY: Video always comes from input stream 0:v:0, either directly
+                            // or through the ladder's split/scale outputs [vout0], [vout1], ...
+                            // (or the burn-in overlay [vburn] when there is no ladder)
+                            if (videoRenditions.length > 0) {
+                                videoRenditions.forEach((r, i) => ffmpegArgs.push('-map', `[vout${i}]`));
+                            } else if (burnSubValid) {
+                                ffmpegArgs.push('-map', '[vburn]');
+                            } else {
+                                ffmpegArgs.push('-map', '0:v:0');
+                            }
+
+                            // STEP 3: Map audio outputs (NOW filter labels exist)
+                            // WHY: audioMaps contains ['-map', '[outa0]', '-map', '[outa1]', ...]
+                            if (audioMaps.length > 0) {
+                                ffmpegArgs.push(...audioMaps);
+                            } else if (audioStreams.length > 0) {
+                                // FALLBACK: If filter failed, map raw audio
+                                log('[FFmpeg] WARNING: No audio filter maps. Using raw audio.');
+                                ffmpegArgs.push('-map', '0:a:0');
+                            }
+
+                            // STEP 4: Video codec settings
+                            ffmpegArgs.push('-c:v', videoCodec, ...videoOpts);
 
-                        // STEP 6: HLS output settings
-                        ffmpegArgs.push(
-                            '-max_muxing_queue_size', '4096',
-                            '-f', 'hls',
-                            '-hls_time', '6',
-                            '-hls_list_size', '0',
-                            '-hls_playlist_type', 'event',
-                            '-hls_allow_cache', '1',
-                            '-start_number', '0',
-                            '-master_pl_name', 'main.m3u8',
-                            '-var_stream_map', varStreamMap,
-                            '-hls_segment_filename', path.join(hlsDir, 'stream_%v_%d.ts'),
-                            path.join(hlsDir, 'stream_%v.m3u8')
-                        );
+                            // STEP 4b: Add bitstream filter for video copy mode (H.264 to HLS)
+                            if (videoBsf.length > 0) {
+                                ffmpegArgs.push(...videoBsf);
+                            }
+
+                            // STEP 5: Audio codec settings (only if we have audio)
+                            // Per output stream (a:i) so passthrough and encoded tracks can mix
+                            audioStreams.forEach((audio, i) => {
+                                if (passthroughTracks[i]) {
+                                    ffmpegArgs.push(`-c:a:${i}`, 'copy');
+                                    return;
+                                }
+                                ffmpegArgs.push(`-c:a:${i}`, audioCodec);
+                                if (audioSampleRate) ffmpegArgs.push(`-ar:a:${i}`, audioSampleRate);
+                                ffmpegArgs.push(
+                                    `-b:a:${i}`, `${audioBitrateKbps}k`,
+                                    `-ac:a:${i}`, String(outputChannels)
+                                );
+                            });
+
+                            // STEP 6: HLS output settings
+                            if (isVod) {
+                                // Our own stream_%v.m3u8 files are what players load; ffmpeg's
+                                // enc_%v.m3u8 only records which segments this run has finished.
+                                ffmpegArgs.push(
+                                    // Keep timestamps on the movie timeline so segments from
+                                    // any restart line up with the published playlist
+                                    '-output_ts_offset', String(seekSeconds),
+                                    '-max_muxing_queue_size', '4096',
+                                    '-f', 'hls',
+                                    '-hls_time', String(HLS_SEGMENT_SECONDS),
+                                    '-hls_list_size', '0',
+                                    '-hls_playlist_type', 'event',
+                                    // Segments appear under their final name only once complete
+                                    '-hls_flags', 'temp_file',
+                                    '-start_number', String(startSegment),
+                                    '-var_stream_map', varStreamMap,
+                                    '-hls_segment_filename', path.join(hlsDir, 'stream_%v_%d.ts'),
+                                    path.join(hlsDir, 'enc_%v.m3u8')
+                                );
+                            } else {
+                                ffmpegArgs.push(
+                                    '-max_muxing_queue_size', '4096',
+                                    '-f', 'hls',
+                                    '-hls_time', String(HLS_SEGMENT_SECONDS),
+                                    '-hls_list_size', '0',
+                                    '-hls_playlist_type', 'event',
+                                    '-hls_allow_cache', '1',
+                                    '-start_number', '0',
+                                    '-master_pl_name', 'main.m3u8',
+                                    '-var_stream_map', varStreamMap,
+                                    '-hls_segment_filename', path.join(hlsDir, 'stream_%v_%d.ts'),
+                                    path.join(hlsDir, 'stream_%v.m3u8')
+                                );
+                            }
+
+                            return ffmpegArgs;
+                        };
 
                         // --- DEFENSIVE CHECK: Validate before spawn ---
-                        if (!ffmpegArgs.includes('-map')) {
-                            log('[FFmpeg] ABORT: No valid mappings. Cannot proceed.');
+                        if (!buildFfmpegArgs(0).includes('-map')) {
+                            log('[FFmpeg] ABORT: No valid mappings. Cannot proceed.', 'error');
+                            session.starting = 0;
                             res.writeHead(500);
                             res.end(JSON.stringify({ error: 'No valid stream mappings' }));
                             return;
                         }
 
-                        log(`[FFmpeg] Args: ${ffmpegArgs.join(' ')}`);
+                        // (Re)start the encoder at a segment. Called once below and again by the
+                        // /hls segment handler whenever the player jumps outside this run.
+                        const spawnEncoder = (startSegment) => {
+                            const ffmpegArgs = buildFfmpegArgs(startSegment);
+                            log(`[FFmpeg] Args: ${ffmpegArgs.join(' ')}`);
 
-                        session.url = videoUrl;
-                        session.process = spawn('ffmpeg', ffmpegArgs);
-
-                        session.process.stderr.on('data', (data) => {
-                            const msg = data.toString();
-                            if (msg.toLowerCase().includes('error') || msg.toLowerCase().includes('fail')) {
-                                // log(`[ffmpeg-${sessionId}] ${msg.trim()}`);
+                            if (session.process) {
+                                try {
+                                    session.process.kill('SIGKILL');
+                                } catch (e) { }
                             }
-                        });
+                            // The previous run's progress lists would make the /hls handler
+                            // think this run already reached segments it has not written
+                            if (isVod) {
+                                for (let v = 0; v < videoVariantCount + audioVariants.length; v++) {
+                                    fs.rmSync(path.join(hlsDir, `enc_${v}.m3u8`), { force: true });
+                                }
+                            }
+
+                            session.url = videoUrl;
+                            // VOD timeline is the movie timeline; event playlists start at the offset
+                            session.startOffset = isVod ? 0 : startOffset;
+                            session.runStartSegment = startSegment;
+                            const proc = spawn('ffmpeg', ffmpegArgs);
+                            session.process = proc;
+                            session.starting = 0; // The process holds the slot from here
+                            watchEncodeProgress(session);
+
+                            // Progress: position is on the source timeline (output starts at the seek point)
+                            const spawnedAt = Date.now();
+                            const seekSeconds = isVod ? startSegment * HLS_SEGMENT_SECONDS : startOffset;
+                            let lastEncodePush = 0;
+                            session.encodeStats = null;
+                            proc.stdout.on('data', createProgressReader((block) => {
+                                if (session.process !== proc) return;
+                                const speed = parseFloat(block.speed) || 0; // "1.53x" or "N/A"
+                                const fps = parseFloat(block.fps) || 0;
+                                const slow = speed > 0 && speed < 1 && Date.now() - spawnedAt > ENCODE_SLOW_GRACE_MS;
+                                const wasSlow = !!session.encodeStats && session.encodeStats.slow;
+                                session.encodeStats = {
+                                    frame: parseInt(block.frame) || 0,
+                                    fps,
+                                    speed,
+                                    bitrate: block.bitrate,
+                                    position: seekSeconds + (parseInt(block.out_time_us || block.out_time_ms) || 0) / 1e6,
+                                    slow,
+                                    updatedAt: Date.now()
+                                };
+
+                                if (slow && !wasSlow) log(`[ffmpeg-${sessionId}] Encoding below realtime: ${speed}x (${fps} fps)`, 'warn');
+                                if (slow !== wasSlow || Date.now() - lastEncodePush >= 1000) {
+                                    lastEncodePush = Date.now();
+                                    pushSessionEvent(sessionId, 'encode', getEncodeStatus(session));
+                                }
+                            }));
+
+                            // Everything else is noise; error lines are kept for diagnosis
+                            proc.stderr.on('data', createLineReader((line) => {
+                                if (/error|fail|invalid/i.test(line)) recordEncodeError(session, line);
+                            }));
+
+                            proc.on('close', (code) => {
+                                log(`[ffmpeg-${sessionId}] [${selectedMode}] Exited with code ${code}`);
+                                // A seek-restart may already have replaced this process; only
+                                // clear session state if it still belongs to us.
+                                if (session.process === proc) {
+                                    session.process = null;
+                                    // A finished VOD encode stays reusable; segments are on disk
+                                    if (code !== 0 || !isVod) session.url = null;
+                                    // Last word on progress (the final playlist write may still be debounced)
+                                    stopProgressWatch(session);
+                                    session.encodedDuration = getEncodedDuration(hlsDir, isVod ? 'enc_0.m3u8' : 'stream_0.m3u8');
+                                    pushSessionEvent(sessionId, 'progress', getSessionProgress(session));
+                                }
 
-                        session.process.on('close', (code) => {
-                            log(`[ffmpeg-${sessionId}] [${selectedMode}] Exited with code ${code}`);
-                            session.process = null;
-                            session.url = null;
+                                if (session.process === null) pushSessionEvent(sessionId, 'encode', getEncodeStatus(session));
 
-                            if (code !== 0 && !res.headersSent) {
-                                if (selectedMode === MODE.AUDIO_ONLY) {
-                                    log('[Fallback] Audio Only mode failed. Retrying with Full Transcode...');
-                                    startEncodingProcess(MODE.FULL_TRANSCODE);
-                                    return;
+                                // null = killed by us (seek restart, stop, timeout)
+                                if (code !== 0 && code !== null) {
+                                    const lastError = session.errorTail[session.errorTail.length - 1];
+                                    if (lastError) log(`[ffmpeg-${sessionId}] Last error: ${lastError.line}`, 'error');
+                                    pushSessionEvent(sessionId, 'error', { message: `FFmpeg exited with code ${code}`, mode: selectedMode, detail: lastError ? lastError.line : null });
+                                }
+
+                                if (code !== 0 && !res.headersSent) {
+                                    if (selectedMode === MODE.AUDIO_ONLY) {
+                                        log('[Fallback] Audio Only mode failed. Retrying with Full Transcode...', 'warn');
+                                        metrics.fallbacks.exit++;
+                                        pushSessionEvent(sessionId, 'fallback', { from: selectedMode, to: MODE.FULL_TRANSCODE, reason: `FFmpeg exited with code ${code}` });
+                                        startEncodingProcess(MODE.FULL_TRANSCODE);
+                                        return;
+                                    }
+                                    res.writeHead(500);
+                                    res.end(JSON.stringify({ error: `FFmpeg Error ${code}` }));
                                 }
-                                res.writeHead(500);
-                                res.end(JSON.stringify({ error: `FFmpeg Error ${code}` }));
+                            });
+
+                            return proc;
+                        };
+
+                        const segmentDurations = isVod ? getVodSegmentDurations(probeDuration, sourceFrameRate) : [];
+                        const firstSegment = isVod ? Math.min(Math.floor(startOffset / HLS_SEGMENT_SECONDS), segmentDurations.length - 1) : 0;
+                        let encodeFrom = firstSegment;
+
+                        if (isVod) {
+                            const segmentCount = segmentDurations.length;
+                            const variantCount = videoVariantCount + audioVariants.length;
+
+                            for (let v = 0; v < variantCount; v++) {
+                                fs.writeFileSync(path.join(hlsDir, `stream_${v}.m3u8`), buildVodMediaPlaylist(segmentDurations, v));
                             }
-                        });
 
+                            // Unknown source bitrate: assume a typical 1080p file
+                            const videoVariants = videoRenditions.length > 0
+                                ? videoRenditions.map(r => ({ bandwidth: (r.maxrateKbps + audioBitrateKbps) * 1000, width: r.width, height: r.height }))
+                                : [{ bandwidth: probeBitrate || 8000000, width: sourceWidth, height: sourceHeight }];
+                            fs.writeFileSync(path.join(hlsDir, 'main.m3u8'), buildVodMasterPlaylist(videoVariants, audioVariants));
+
+                            session.vod = { duration: probeDuration, segmentCount, variantCount, spawnEncoder };
+                            log(`[VOD] Published ${segmentCount} segments x ${variantCount} variants (${probeDuration}s)`);
+
+                            if (resumeSegments) {
+                                encodeFrom = findFirstMissingSegment(hlsDir, firstSegment, segmentCount, variantCount);
+                                log(`[Resume] Session ${sessionId}: continuing encode at segment ${encodeFrom}/${segmentCount}`);
+                            }
+                        } else {
+                            session.vod = null;
+                            log(`[VOD] ${probeDuration > 0 ? 'Video copied (cuts on source keyframes)' : 'Duration unknown'}. Using growing event playlist.`);
+                            // An event playlist restarts at the requested offset; old segments do not belong to it
+                            if (resumeSegments) clearSessionDir(hlsDir);
+                        }
+
+                        // Nothing left to encode after a resume: serve what is on disk
+                        const proc = encodeFrom < (isVod ? session.vod.segmentCount : Infinity) ? spawnEncoder(encodeFrom) : null;
+                        if (!proc) {
+                            session.starting = 0;
+                            session.url = videoUrl;
+                            session.startOffset = 0;
+                            session.encodedDuration = getEncodedDuration(hlsDir, 'enc_0.m3u8');
+                        }
+                        saveSessions();
+
+                        // VOD: master exists already, so wait for the first real segment instead
+                        const readyFile = isVod ? `stream_0_${firstSegment}.ts` : 'main.m3u8';
 
                         let attempts = 0;
                         const checkPlaylist = setInterval(() => {
                             attempts++;
-                            if (fs.existsSync(path.join(hlsDir, 'main.m3u8'))) {
+                            if (fs.existsSync(path.join(hlsDir, readyFile))) {
                                 log(`Stream Ready for Session ${sessionId} [${selectedMode}]!`);
                                 clearInterval(checkPlaylist);
                                 if (!res.headersSent) {
                                     res.writeHead(200, { 'Content-Type': 'application/json' });
-                                    res.end(JSON.stringify({ status: 'started', mode: selectedMode }));
+                                    res.end(JSON.stringify({
+                                        status: 'started',
+                                        mode: selectedMode,
+                                        startOffset: session.startOffset,
+                                        vod: isVod,
+                                        duration: probeDuration,
+                                        hlsBase: getHlsBase(sessionId),
+                                        subtitleAuth: getSubtitleAuth(videoUrl)
+                                    }));
                                 }
-                            } else if (attempts >= 100) {
+                            } else if (attempts >= PLAYLIST_WAIT_ATTEMPTS) {
                                 clearInterval(checkPlaylist);
-                                if (session.process) session.process.kill('SIGKILL');
+                                if (proc && session.process === proc) proc.kill('SIGKILL');
 
                                 if (selectedMode === MODE.AUDIO_ONLY && !res.headersSent) {
-                                    log('[Fallback] Timeout. Retrying with Full Transcode...');
+                                    log('[Fallback] Timeout. Retrying with Full Transcode...', 'warn');
+                                    metrics.fallbacks.timeout++;
+                                    pushSessionEvent(sessionId, 'fallback', { from: selectedMode, to: MODE.FULL_TRANSCODE, reason: 'Timeout' });
                                     startEncodingProcess(MODE.FULL_TRANSCODE);
                                 } else if (!res.headersSent) {
+                                    pushSessionEvent(sessionId, 'error', { message: 'Timeout waiting for the first segment', mode: selectedMode });
                                     res.writeHead(500);
                                     res.end(JSON.stringify({ error: 'Timeout' }));
                                 }
                             }
-                        }, 500);
+                        }, PLAYLIST_WAIT_INTERVAL_MS);
                     });
                 };
 
                 startEncodingProcess();
 
             } else if (parsedUrl.pathname === '/subtitle') {
-                // ... Subtitle can stay global-ish or use session if needed, 
-                // but usually subtitles are direct FFMPEG extracts.
-                // It's cleaner to keep it stateless as it pipes directly.
-                // Logic below is fine.
+                // Stateless: tracks are extracted once per (URL, index, format)
+                // into the subtitle cache and served from disk afterwards.
+                // index=ext-<id> serves a sidecar track added via /external-subtitle.
                 const videoUrl = parsedUrl.query.url;
-                const subIndex = parsedUrl.query.index;
-
-                if (!videoUrl || !subIndex) {
+                const rawIndex = parsedUrl.query.index || '';
+                const externalId = rawIndex.startsWith('ext-') ? rawIndex.slice(4) : null;
+                const subIndex = parseInt(rawIndex);
+                // format=ass keeps ASS/SSA styling for the client renderer
+                const format = parsedUrl.query.format === 'ass' ? 'ass' : 'webvtt';
+                // Shift cues so they line up with a seek-restarted stream
+                const subStart = Math.max(0, parseFloat(parsedUrl.query.start) || 0);
+
+                if (!videoUrl || (!externalId && (isNaN(subIndex) || subIndex < 0))) {
                     res.writeHead(400);
                     res.end('Missing URL or Index');
                     return;
                 }
-                // ... (Original Code for Subtitle) ...
-                log(`Streaming Subtitles: ${videoUrl} (Track ${subIndex})`);
-                res.writeHead(200, {
-                    'Content-Type': 'text/vtt',
-                    'Access-Control-Allow-Origin': '*'
+
+                let subtitleFile;
+                if (externalId) {
+                    const externalPath = getExternalSubtitlePath(videoUrl, externalId, format);
+                    subtitleFile = externalPath
+                        ? Promise.resolve(externalPath)
+                        : Promise.reject(new Error(`Unknown external subtitle ${externalId}`));
+                } else {
+                    subtitleFile = extractSubtitle(videoUrl, subIndex, format);
+                }
+
+                subtitleFile.then((cachePath) => {
+                    const stats = fs.statSync(cachePath);
+                    const etag = `"${path.basename(cachePath)}-${stats.mtimeMs}-${subStart}"`;
+
+                    if (req.headers['if-none-match'] === etag) {
+                        res.writeHead(304, { 'ETag': etag });
+                        res.end();
+                        return;
+                    }
+
+                    log(`Serving Subtitles: ${videoUrl} (Track ${subIndex}, ${format}${subStart ? `, -${subStart}s` : ''})`);
+                    const headers = {
+                        'Content-Type': SUBTITLE_FORMATS[format].contentType,
+                        // Behind login: browsers may cache it, shared caches may not
+                        'Cache-Control': 'private, max-age=86400',
+                        'ETag': etag
+                    };
+
+                    if (subStart > 0) {
+                        res.writeHead(200, headers);
+                        res.end(shiftSubtitleTimestamps(fs.readFileSync(cachePath, 'utf8'), format, subStart));
+                    } else {
+                        headers['Content-Length'] = stats.size;
+                        res.writeHead(200, headers);
+                        fs.createReadStream(cachePath).pipe(res);
+                    }
+                }).catch((e) => {
+                    log(`[Subtitle] Extraction failed for track ${rawIndex}: ${e.message}`, 'warn');
+                    if (!res.headersSent) {
+                        res.writeHead(500);
+                        res.end('Subtitle Extraction Failed');
+                    }
+                });
+
+            } else if (parsedUrl.pathname === '/thumbnails') {
+                // WebVTT thumbnail index for the seek preview. Generation runs in the
+                // background: 202 until it is ready, 404 if the source has no thumbnails.
+                const videoUrl = parsedUrl.query.url;
+                if (!videoUrl) {
+                    res.writeHead(400);
+                    res.end('Missing URL');
+                    return;
+                }
+
+                const key = getThumbnailKey(videoUrl);
+                const indexPath = path.join(THUMBNAIL_DIR, key, 'thumbnails.vtt');
+                if (fs.existsSync(indexPath)) {
+                    res.writeHead(200, { 'Content-Type': 'text/vtt', 'Cache-Control': 'public, max-age=86400' });
+                    fs.createReadStream(indexPath).pipe(res);
+                } else if (hasRecentThumbnailFailure(key)) {
+                    res.writeHead(404);
+                    res.end('No thumbnails');
+                } else {
+                    generateThumbnails(videoUrl).catch(() => { }); // Failure is logged and remembered
+                    res.writeHead(202, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'generating' }));
+                }
+
+            } else if (/^\/thumbnails\/[0-9a-f]{40}\/sprite_\d+\.jpg$/.test(parsedUrl.pathname)) {
+                const spritePath = path.join(THUMBNAIL_DIR, parsedUrl.pathname.slice('/thumbnails/'.length));
+                fs.stat(spritePath, (statErr) => {
+                    if (statErr) {
+                        res.writeHead(404);
+                        res.end('Not Found');
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Cache-Control': 'public, max-age=86400' });
+                    fs.createReadStream(spritePath).pipe(res);
+                });
+
+            } else if (parsedUrl.pathname === '/external-subtitle' && req.method === 'POST') {
+                // Add a sidecar subtitle for a video URL:
+                //   ?url=<video>&src=<subtitle URL>          (fetched by ffmpeg)
+                //   ?url=<video>&name=<file name>  + body     (uploaded file)
+                const videoUrl = parsedUrl.query.url;
+                const srcUrl = parsedUrl.query.src;
+                const name = srcUrl ? path.basename(url.parse(srcUrl).pathname || '') : parsedUrl.query.name;
+
+                if (!videoUrl || !name) {
+                    res.writeHead(400);
+                    res.end(JSON.stringify({ error: 'Missing URL or file name' }));
+                    return;
+                }
+
+                const respond = (promise, cleanup) => {
+                    promise.then((entry) => {
+                        log(`[Subtitle] External track added for ${videoUrl}: ${entry.title}`);
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify(entry));
+                    }).catch((e) => {
+                        log(`[Subtitle] External track failed: ${e.message}`, 'warn');
+                        res.writeHead(400);
+                        res.end(JSON.stringify({ error: e.message }));
+                    }).finally(cleanup);
+                };
+
+                if (srcUrl) {
+                    respond(addExternalSubtitle(videoUrl, srcUrl, name), () => { });
+                    return;
+                }
+
+                // Upload: buffer the body (small text files), then convert from a temp file
+                const chunks = [];
+                let size = 0;
+                req.on('data', chunk => {
+                    size += chunk.length;
+                    if (size > MAX_SUBTITLE_UPLOAD_BYTES) {
+                        res.writeHead(413);
+                        res.end(JSON.stringify({ error: 'Subtitle file too large' }));
+                        req.destroy();
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                req.on('end', () => {
+                    if (res.headersSent) return;
+                    fs.mkdirSync(EXTERNAL_SUBTITLE_DIR, { recursive: true });
+                    const tmpPath = path.join(EXTERNAL_SUBTITLE_DIR, `upload-${Date.now()}${path.extname(name).toLowerCase()}`);
+                    fs.writeFileSync(tmpPath, Buffer.concat(chunks));
+                    respond(addExternalSubtitle(videoUrl, tmpPath, name), () => fs.rm(tmpPath, { force: true }, () => { }));
                 });
-                const ffmpegSub = spawn('ffmpeg', [
-                    '-y',
-                    '-i', videoUrl,
-                    '-map', `0:${subIndex}`,
-                    '-c:s', 'webvtt',
-                    '-f', 'webvtt',
-                    '-'
-                ]);
-                ffmpegSub.stdout.pipe(res);
+
+            } else if (/^\/hls\/[^/]+\/stream_\d+_\d+\.ts$/.test(parsedUrl.pathname)) {
+                // --- On-Demand VOD Segments ---
+                // Reached only when the segment file does not exist yet (static
+                // files are served above). Either the running encoder is about to
+                // write it, or the player jumped elsewhere and we restart there.
+                const [, sid, variantStr, segmentStr] = parsedUrl.pathname.match(/^\/hls\/([^/]+)\/stream_(\d+)_(\d+)\.ts$/);
+                const session = sessions.get(sid);
+                const variant = parseInt(variantStr);
+                const segment = parseInt(segmentStr);
+
+                if (!session || !session.vod || segment >= session.vod.segmentCount || variant >= session.vod.variantCount) {
+                    res.writeHead(404);
+                    res.end('Segment Not Found');
+                    return;
+                }
+
+                session.lastPing = Date.now();
+                const segmentPath = path.join(session.dir, `stream_${variant}_${segment}.ts`);
+
+                // Is the current run going to reach this segment soon?
+                const lastDone = Math.max(getLastSegmentIndex(session.dir, variant), session.runStartSegment - 1);
+                const comingSoon = session.process &&
+                    segment >= session.runStartSegment &&
+                    segment <= lastDone + 1 + SEGMENT_LOOKAHEAD;
+
+                if (!comingSoon) {
+                    // A finished encode gave its slot back; restarting needs a new
+                    // one unless the player is still watching (see Transcode Admission)
+                    const queuePosition = session.process || isActivelyWatching(sid) ? 0 : requestTranscodeSlot(session);
+                    if (queuePosition > 0) {
+                        log(`[Queue] Session ${sid}: segment ${segment} queued at position ${queuePosition}`);
+                        sendQueued(res, queuePosition);
+                        return;
+                    }
+                    log(`[VOD] Session ${sid}: segment ${segment} outside current run (start ${session.runStartSegment}, done ${lastDone}). Restarting encoder.`);
+                    session.vod.spawnEncoder(segment);
+                }
+
+                const waitStart = Date.now();
+                const waitForSegment = setInterval(() => {
+                    if (fs.existsSync(segmentPath)) {
+                        clearInterval(waitForSegment);
+                        res.writeHead(200, { 'Content-Type': 'video/mp2t' });
+                        fs.createReadStream(segmentPath).pipe(res);
+                    } else if (Date.now() - waitStart > SEGMENT_WAIT_MS) {
+                        clearInterval(waitForSegment);
+                        log(`[VOD] Session ${sid}: timed out waiting for segment ${segment}`, 'warn');
+                        res.writeHead(504);
+                        res.end('Segment Timeout');
+                    }
+                }, 250);
+
+                // Player gave up (seeked away / retried): stop waiting
+                req.on('close', () => clearInterval(waitForSegment));
 
             } else if (parsedUrl.pathname === '/stop') {
                 const sessionId = parsedUrl.query.session;
@@ -716,52 +3329,158 @@ const server = http.createServer((req, res) => {
                     const s = sessions.get(sessionId);
                     if (s.process) s.process.kill('SIGKILL');
                     s.process = null;
+                    stopProgressWatch(s);
                     s.url = null;
+                    s.vod = null; // No more on-demand restarts
+                    s.interrupted = false;
                 }
                 res.writeHead(200);
                 res.end('Stopped');
 
+            } else if (parsedUrl.pathname === '/events') {
+                // EventSource: ?session=
+                // Events: progress { encodedDuration, liveEdgeTime, startOffset, vod },
+                // mode { mode, fallback }, fallback { from, to, reason },
+                // encode { running, fps, speed, position, slow, ... },
+                // error { message, mode, detail }, interrupted {}
+                const sessionId = parsedUrl.query.session;
+                if (!sessionId) {
+                    res.writeHead(400);
+                    res.end('Missing Session ID');
+                    return;
+                }
+
+                if (!sessionStreams.has(sessionId)) sessionStreams.set(sessionId, new Set());
+                const streams = sessionStreams.get(sessionId);
+                streams.add(res);
+                openEventStream(req, res, () => {
+                    streams.delete(res);
+                    if (streams.size === 0) sessionStreams.delete(sessionId);
+                });
+
+                const session = sessions.get(sessionId);
+                if (session) {
+                    session.lastPing = Date.now();
+                    sendEvent(res, 'progress', getSessionProgress(session));
+                    if (session.interrupted) sendEvent(res, 'interrupted', {});
+                }
+
+            } else if (parsedUrl.pathname.startsWith('/admin/') && !isAdminRequest(req)) {
+                res.writeHead(403, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: AUTH_ENABLED ? 'Forbidden' : 'Admin is only available on localhost without AUTH_PASSWORD/API_TOKENS' }));
+
+            } else if (parsedUrl.pathname === '/admin/sessions') {
+                const list = [...sessions.values()]
+                    .map(getAdminSessionInfo)
+                    .sort((a, b) => b.lastPing - a.lastPing);
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    sessions: list,
+                    running: countRunningTranscodes(),
+                    maxTranscodes: MAX_CONCURRENT_TRANSCODES,
+                    queued: transcodeQueue.size,
+                    diskBytes: list.reduce((sum, s) => sum + s.diskBytes, 0)
+                }));
+
+            } else if ((parsedUrl.pathname === '/admin/kill' || parsedUrl.pathname === '/admin/delete') && req.method === 'POST') {
+                // kill: stop the encoder (like /stop); delete: also remove the HLS directory and the session
+                const session = sessions.get(parsedUrl.query.session);
+                if (!session) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: 'Unknown session' }));
+                    return;
+                }
+
+                const remove = parsedUrl.pathname === '/admin/delete';
+                log(`[Admin] ${remove ? 'Deleting' : 'Killing'} session ${session.id}`);
+                pushSessionEvent(session.id, 'error', { message: `Session ${remove ? 'deleted' : 'stopped'} by admin`, mode: session.mode, detail: null });
+                if (remove) {
+                    removeSession(session);
+                } else {
+                    if (session.process) session.process.kill('SIGKILL');
+                    session.process = null;
+                    session.url = null;
+                    session.vod = null;
+                    session.interrupted = false;
+                    stopProgressWatch(session);
+                }
+                saveSessions();
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ status: 'ok' }));
+
+            } else if (parsedUrl.pathname === '/admin/log') {
+                const lines = Math.min(parseInt(parsedUrl.query.lines) || 200, 2000);
+                res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end(tailLogFile(lines).join('\n'));
+
+            } else if (parsedUrl.pathname === '/config') {
+                // Read-only: effective settings and where each one came from (default / file / env)
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    configFile: fs.existsSync(CONFIG_FILE) ? CONFIG_FILE : null,
+                    settings: config.settings,
+                    sources: config.sources
+                }, null, 2));
+
+            } else if (parsedUrl.pathname === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(renderMetrics());
+
+            } else if (parsedUrl.pathname === '/status') {
+                // ?session= -> encoder state, last progress block and recent ffmpeg errors
+                const session = sessions.get(parsedUrl.query.session);
+                if (!session) {
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ status: 'invalid_session' }));
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    session: session.id,
+                    url: session.url,
+                    mode: session.mode,
+                    pid: session.process ? session.process.pid : null,
+                    encode: getEncodeStatus(session),
+                    ...getSessionProgress(session),
+                    errors: session.errorTail
+                }));
+
             } else if (parsedUrl.pathname === '/ping') {
                 const sessionId = parsedUrl.query.session;
                 if (sessionId && sessions.has(sessionId)) {
                     sessions.get(sessionId).lastPing = Date.now();
+                    sessions.get(sessionId).lastHeartbeat = Date.now();
 
-                    // --- Calculate Real-Time HLS Duration ---
-                    let encodedDuration = 0;
-                    try {
-                        const m3u8Path = path.join(sessions.get(sessionId).dir, 'main.m3u8');
-                        if (fs.existsSync(m3u8Path)) {
-                            const content = fs.readFileSync(m3u8Path, 'utf8');
-                            // Sum all #EXTINF:duration, lines
-                            const matches = content.match(/#EXTINF:([\d.]+),/g);
-                            if (matches) {
-                                encodedDuration = matches.reduce((acc, val) => {
-                                    return acc + parseFloat(val.split(':')[1].replace(',', ''));
-                                }, 0);
-                            }
-                        }
-                    } catch (e) { }
+                    // Watch history: the player reports where it is in which source
+                    const position = parseFloat(parsedUrl.query.position);
+                    const historyUrl = parsedUrl.query.url;
+                    if (historyUrl && historyUrl.length <= 4096 && position > 0) {
+                        recordProgress(normalizeProfile(parsedUrl.query.profile), historyUrl, position, parseFloat(parsedUrl.query.duration) || 0);
+                    }
 
-                    // --- PART B: Live Edge Control ---
+                    // Progress as last seen by the playlist watcher (also pushed over /events)
                     // liveEdgeTime = how far the player can safely seek without buffering
-                    // Safety margin of 8 seconds ensures segments are fully written
-                    const SAFETY_MARGIN = 8;
-                    const liveEdgeTime = Math.max(0, encodedDuration - SAFETY_MARGIN);
-
+                    const pingSession = sessions.get(sessionId);
                     res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ status: 'active', encodedDuration, liveEdgeTime }));
+                    // interrupted: the server restarted under this session, the player should /start again
+                    const status = pingSession.interrupted ? 'interrupted' : 'active';
+                    res.end(JSON.stringify({ status, ...getSessionProgress(pingSession), encode: getEncodeStatus(pingSession) }));
                 } else {
                     res.writeHead(404);
                     res.end(JSON.stringify({ status: 'invalid_session' }));
                 }
 
             } else if (parsedUrl.pathname === '/client-log' && req.method === 'POST') {
+                // Untrusted: capped, control characters flattened, level from a fixed set
+                // (the session comes from ?session= like for any other request)
+                const level = LOG_LEVELS[parsedUrl.query.level] ? parsedUrl.query.level : 'info';
                 let body = '';
                 req.on('data', chunk => {
                     body += chunk.toString();
+                    if (body.length > MAX_CLIENT_LOG_BYTES) req.destroy();
                 });
                 req.on('end', () => {
-                    log(`[CLIENT] ${body.trim()}`);
+                    log(`[CLIENT] ${body.replace(/[\x00-\x1f\x7f]+/g, ' ').trim()}`, level, { source: 'client' });
                     res.writeHead(200);
                     res.end('Logged');
                 });
@@ -769,9 +3488,21 @@ const server = http.createServer((req, res) => {
 
         }
     });
+
+    // --- URL Validation ---
+    // Media URLs are checked (DNS included) before any route sees them
+    const mediaUrls = MEDIA_URL_ROUTES.includes(parsedUrl.pathname)
+        ? [parsedUrl.query.url, parsedUrl.query.src].filter(Boolean)
+        : [];
+    Promise.all(mediaUrls.map(validateMediaUrl)).then(handleRequest, (e) => {
+        log(`[Security] Rejected URL for ${parsedUrl.pathname}: ${e.message} (${mediaUrls.join(', ')})`, 'warn');
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `URL rejected: ${e.message}` }));
+    });
 });
 
-const PORT = process.env.PORT || 3000;
 server.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running at http://0.0.0.0:${PORT}`);
+    log(`Server running at http://0.0.0.0:${PORT}`);
+    scanLibrary();
+    watchLibrary();
 });